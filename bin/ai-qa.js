@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { runQATest } from '../src/ai.js';
+import { hasProvider, listProviders } from '../src/providers.js';
+import { runSuite, validateTest, validateOptions } from '../src/suites.js';
+import { renderReport, matrixEntries } from '../src/reports.js';
+import { loadVerifierModules } from '../src/verifiers.js';
+import { getAuthProfile } from '../src/auth.js';
+import { validateMocks } from '../src/mocks.js';
+import { matrixDimensions, findUnknownDevice } from '../src/devices.js';
+import { installLogRedaction } from '../src/secrets.js';
+
+const usage = `Usage:
+  ai-qa run --url <url> --instructions <text> [options]
+  ai-qa run --file <tests.json> [options]
+
+Options:
+  --url <url>              Page to test
+  --instructions <text>    What the AI should do and check
+  --file <path>            JSON file with many tests: an array of { name, url, instructions, options }
+                           or a suite export ({ name, tests: [...] })
+  --device <name>          desktop (default), mobile, tablet, a Puppeteer device such as "iPhone 15 Pro"
+                           or a custom device profile
+  --matrix <dimensions>    Run every combination, e.g. "device=mobile,desktop;locale=en-US,de-DE"
+                           (dimensions: ${matrixDimensions.join(', ')})
+  --provider <name>        LLM provider (${listProviders().join(', ')})
+  --model <name>           Override the provider's model
+  --mode <mode>            plan (default) or step
+  --auth <profile>         Start signed in with a saved auth profile
+  --max-steps <n>          Action budget in step mode
+  --wait <seconds>         Settle time after page load (default 10)
+  --snapshot-tokens <n>    Size limit of the page snapshot the model sees (default 3000)
+  --vision                 Also send the model screenshots (needs a provider with image input)
+  --timeout <seconds>      Stop each test (each combination of a matrix) after this long; it is reported as timed out
+  --accessibility <level>  Audit accessibility; fail on violations of this impact or higher
+                           (minor, moderate, serious, critical, or none to only report)
+  --budget <limits>        Comma-separated performance budgets, e.g. lcp=2500,cls=0.1,transferSize=2000000
+  --visual                 Compare screenshots with their baselines; the first run records them
+  --update-baselines       Store this run's screenshots as the new baselines
+  --mocks <path>           JSON file with an array of request mock rules applied to every test
+  --fail-on <rules>        Comma-separated: page-errors (uncaught exceptions), server-errors (5xx responses)
+  --no-screenshots         Skip screenshots
+  --out <path>             Where to write the result JSON (default ai-qa-results.json)
+  --junit <path>           Also write a JUnit XML report
+  --html <path>            Also write a self-contained HTML report
+  --markdown <path>        Also write a Markdown report
+  --verifiers <paths>      Comma-separated verifier modules (default: QA_VERIFIERS)
+  --verbose                Show the runner's own logs
+  -h, --help               Show this help
+
+Exit codes: 0 when every test passed, 1 when any test failed or errored, 2 on usage errors.`;
+
+// Exit codes for CI
+const exitCodes = { passed: 0, failed: 1, usage: 2 };
+
+const symbols = { success: '✔', failed: '✖', error: '✖', timeout: '✖', cancelled: '○', skipped: '○' };
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            url: { type: 'string' },
+            instructions: { type: 'string' },
+            file: { type: 'string' },
+            device: { type: 'string' },
+            matrix: { type: 'string' },
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            mode: { type: 'string' },
+            auth: { type: 'string' },
+            'max-steps': { type: 'string' },
+            wait: { type: 'string' },
+            'snapshot-tokens': { type: 'string' },
+            vision: { type: 'boolean' },
+            timeout: { type: 'string' },
+            'fail-on': { type: 'string' },
+            mocks: { type: 'string' },
+            accessibility: { type: 'string' },
+            budget: { type: 'string' },
+            visual: { type: 'boolean' },
+            'update-baselines': { type: 'boolean' },
+            'no-screenshots': { type: 'boolean' },
+            out: { type: 'string', default: 'ai-qa-results.json' },
+            junit: { type: 'string' },
+            html: { type: 'string' },
+            markdown: { type: 'string' },
+            verifiers: { type: 'string' },
+            verbose: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    return { command: positionals[0], values };
+}
+
+const failOnRules = { 'page-errors': 'pageErrors', 'server-errors': 'serverErrors' };
+
+function parseFailOn(value) {
+    const failOn = {};
+    for (const rule of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        if (!failOnRules[rule]) {
+            throw new Error(`Unknown --fail-on rule "${rule}". Available rules: ${Object.keys(failOnRules).join(', ')}`);
+        }
+        failOn[failOnRules[rule]] = true;
+    }
+    return failOn;
+}
+
+function parseMatrix(value) {
+    const matrix = {};
+    for (const part of value.split(';').map(item => item.trim()).filter(Boolean)) {
+        const [dimension, values] = part.split('=');
+        if (!dimension || values === undefined) {
+            throw new Error(`Invalid --matrix "${part}". Use dimension=value,value, e.g. device=mobile,desktop`);
+        }
+        matrix[dimension.trim()] = values.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return matrix;
+}
+
+function parseBudgets(value) {
+    const budgets = {};
+    for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+        const [name, limit] = part.split('=');
+        if (!name || limit === undefined || Number.isNaN(Number(limit))) {
+            throw new Error(`Invalid --budget "${part}". Use metric=limit, e.g. lcp=2500`);
+        }
+        budgets[name] = Number(limit);
+    }
+    return budgets;
+}
+
+function parseTimeout(value) {
+    const timeout = Number(value);
+    if (!Number.isFinite(timeout) || timeout * 1000 < 1) {
+        throw new Error(`Invalid --timeout "${value}". Use a positive number of seconds, e.g. 120`);
+    }
+    return timeout;
+}
+
+// CLI flags are applied over every test's own options, like the options of a suite run
+function optionsFromFlags(values) {
+    const options = {};
+    if (values.device) options.device = values.device;
+    if (values.matrix) options.matrix = parseMatrix(values.matrix);
+    if (values.provider) options.provider = values.provider;
+    if (values.model) options.model = values.model;
+    if (values.mode) options.mode = values.mode;
+    if (values.auth) options.auth = values.auth;
+    if (values['max-steps']) options.maxSteps = Number(values['max-steps']);
+    if (values.wait) options.waitTime = Number(values.wait);
+    if (values['snapshot-tokens']) options.snapshot = { maxTokens: Number(values['snapshot-tokens']) };
+    if (values.vision) options.vision = true;
+    if (values.timeout) options.timeout = parseTimeout(values.timeout);
+    if (values['fail-on']) options.failOn = parseFailOn(values['fail-on']);
+    if (values['no-screenshots']) options.screenshots = false;
+    if (values.budget) options.budgets = parseBudgets(values.budget);
+    if (values.accessibility) options.accessibility = { failOn: values.accessibility };
+    if (values.visual || values['update-baselines']) options.visual = { update: values['update-baselines'] === true };
+    return options;
+}
+
+async function loadMocks(path) {
+    const mocks = JSON.parse(await readFile(resolve(path), 'utf8'));
+    const error = validateMocks(mocks);
+    if (error) {
+        throw new Error(error);
+    }
+    return mocks;
+}
+
+async function loadTests(values) {
+    if (values.file) {
+        const content = JSON.parse(await readFile(resolve(values.file), 'utf8'));
+        const tests = Array.isArray(content) ? content : content.tests;
+        if (!Array.isArray(tests)) {
+            throw new Error(`${values.file} must contain an array of tests or an object with a "tests" array`);
+        }
+        return {
+            name: content.name || values.file,
+            tests: tests.map((test, index) => ({ ...test, id: test.id || String(index + 1), name: test.name || `Test ${index + 1}` })),
+        };
+    }
+
+    return {
+        name: values.url,
+        tests: [{ id: '1', name: values.instructions, url: values.url, instructions: values.instructions }],
+    };
+}
+
+function printProgress(event) {
+    const description = event.action?.description || `${event.action?.type} ${event.action?.target ?? ''}`;
+    switch (event.type) {
+        case 'plan:generated':
+            console.info(`  Plan: ${event.actions.length} actions — ${event.interpretation || ''}`);
+            break;
+        case 'step:decided':
+            console.info(`  Step ${event.step}: ${event.reasoning}`);
+            break;
+        case 'action:started':
+            console.info(`  ${event.index + 1}. ${description}...`);
+            break;
+        case 'action:finished': {
+            const symbol = symbols[event.status] || '?';
+            const healed = event.healed ? ` (healed: ${event.healed.healedTarget})` : '';
+            const error = event.error ? ` — ${event.error}` : '';
+            console.info(`     ${symbol} ${event.status} in ${event.durationMs}ms${healed}${error}`);
+            break;
+        }
+        case 'verification:done':
+            console.info(`  Verification: ${event.message}`);
+            break;
+        case 'matrix:started':
+            console.info(`  [${event.index + 1}/${event.total}] ${event.label}`);
+            break;
+    }
+}
+
+// Resolves with the suite run plus the full result of every test, keyed by test id
+async function runTests(suite, overrides) {
+    const results = new Map();
+    const run = await runSuite({ id: null, name: suite.name, tests: suite.tests }, {
+        runTest: async (test) => {
+            console.info(`\n▶ ${test.name}\n  ${test.url}`);
+            const options = {
+                ...test.options,
+                ...(test.plan ? { plan: test.plan } : {}),
+                ...overrides,
+                onProgress: printProgress,
+            };
+
+            let result;
+            try {
+                result = await runQATest(test.url, test.instructions, options);
+            } catch (error) {
+                result = { url: test.url, instructions: test.instructions, status: 'error', message: error.message, error: error.message };
+            }
+            for (const combination of result.matrix || []) {
+                console.info(`  ${symbols[combination.status] || '?'} ${combination.label}: ${combination.message}`);
+            }
+            console.info(`${symbols[result.status] || '?'} ${result.status}: ${result.message}`);
+            for (const artifact of result.artifacts || []) {
+                console.info(`  ${artifact.description}: ${artifact.path}`);
+            }
+            results.set(test.id, result);
+            return { analysisId: null, result };
+        },
+    });
+    return { run, results };
+}
+
+async function main() {
+    let command;
+    let values;
+    try {
+        ({ command, values } = parseCommandLine(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return exitCodes.usage;
+    }
+
+    if (values.help || !command) {
+        console.info(usage);
+        return values.help ? exitCodes.passed : exitCodes.usage;
+    }
+    if (command !== 'run') {
+        console.error(`Unknown command "${command}"\n\n${usage}`);
+        return exitCodes.usage;
+    }
+    if (!values.file && !(values.url && values.instructions)) {
+        console.error(`Either --file or both --url and --instructions are required\n\n${usage}`);
+        return exitCodes.usage;
+    }
+    if (values.provider && !hasProvider(values.provider)) {
+        console.error(`Unknown LLM provider "${values.provider}". Available providers: ${listProviders().join(', ')}`);
+        return exitCodes.usage;
+    }
+    if (values.auth && !await getAuthProfile(values.auth)) {
+        console.error(`Unknown auth profile "${values.auth}"`);
+        return exitCodes.usage;
+    }
+    let overrides;
+    try {
+        overrides = optionsFromFlags(values);
+    } catch (error) {
+        console.error(error.message);
+        return exitCodes.usage;
+    }
+    if (values.mocks) {
+        try {
+            overrides.mocks = await loadMocks(values.mocks);
+        } catch (error) {
+            console.error(`Failed to load mocks: ${error.message}`);
+            return exitCodes.usage;
+        }
+    }
+    const invalidOptions = validateOptions(overrides);
+    if (invalidOptions) {
+        console.error(invalidOptions);
+        return exitCodes.usage;
+    }
+
+    let suite;
+    try {
+        suite = await loadTests(values);
+    } catch (error) {
+        console.error(`Failed to load tests: ${error.message}`);
+        return exitCodes.usage;
+    }
+    const invalid = suite.tests.map(test => validateTest(test)).find(Boolean);
+    if (invalid) {
+        console.error(`Invalid test in ${values.file}: ${invalid}`);
+        return exitCodes.usage;
+    }
+    const unknownDevice = await findUnknownDevice([overrides, ...suite.tests.map(test => test.options)]);
+    if (unknownDevice) {
+        console.error(`Unknown device "${unknownDevice}"`);
+        return exitCodes.usage;
+    }
+    try {
+        await loadVerifierModules(values.verifiers ?? process.env.QA_VERIFIERS);
+    } catch (error) {
+        console.error(`Failed to load verifiers: ${error.message}`);
+        return exitCodes.usage;
+    }
+
+    // The runner logs every step in detail; keep the terminal to progress lines unless asked
+    if (!values.verbose) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+    installLogRedaction();
+
+    const { run, results } = await runTests(suite, overrides);
+    const output = values.file
+        ? { ...run, tests: run.tests.map(test => ({ ...test, result: results.get(test.testId) })) }
+        : results.get(suite.tests[0].id);
+    await writeFile(resolve(values.out), JSON.stringify(output, null, 2));
+
+    const report = {
+        title: `QA report: ${suite.name}`,
+        entries: suite.tests.flatMap(test => matrixEntries({ id: test.id, name: test.name, result: results.get(test.id) })),
+    };
+    for (const format of ['junit', 'html', 'markdown']) {
+        if (values[format]) {
+            await writeFile(resolve(values[format]), await renderReport(report, format));
+            console.info(`${format} report written to ${values[format]}`);
+        }
+    }
+
+    console.info(`\n${run.message}. Results written to ${values.out}`);
+    return run.status === 'success' ? exitCodes.passed : exitCodes.failed;
+}
+
+process.exitCode = await main();
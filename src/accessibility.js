@@ -0,0 +1,108 @@
+import { createRequire } from 'module';
+import { readFile } from 'fs/promises';
+
+// Accessibility audits with the bundled axe-core engine. options.accessibility is true or
+// { failOn, tags, exclude }:
+// - failOn: lowest impact that fails the run: minor, moderate, serious (default), critical or none
+// - tags: axe rule tags to run, e.g. ["wcag2a", "wcag2aa"] (default all rules)
+// - exclude: selectors of regions to leave out of the audit
+
+export const impactLevels = ['minor', 'moderate', 'serious', 'critical'];
+const defaults = { failOn: 'serious' };
+// Elements listed per violation; a page with hundreds of unlabeled inputs needs no more to be fixed
+const maxNodes = 10;
+
+const axeScript = createRequire(import.meta.url).resolve('axe-core/axe.min.js');
+let axeSource = null;
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Returns an error message for an invalid options.accessibility value, or null
+export function validateAccessibility(accessibility) {
+    if (accessibility === true || accessibility === false) return null;
+    if (!isPlainObject(accessibility)) return '"accessibility" must be true or an object';
+    if (accessibility.failOn !== undefined && ![...impactLevels, 'none'].includes(accessibility.failOn)) {
+        return `Accessibility "failOn" must be one of: ${[...impactLevels, 'none'].join(', ')}`;
+    }
+    if (accessibility.tags !== undefined && !isStringArray(accessibility.tags)) return 'Accessibility "tags" must be an array of rule tags';
+    if (accessibility.exclude !== undefined && !isStringArray(accessibility.exclude)) return 'Accessibility "exclude" must be an array of selectors';
+    return null;
+}
+
+// The settings of a run with accessibility audits, or null when they are off
+export function accessibilitySettings(accessibility) {
+    if (!accessibility) return null;
+    const settings = accessibility === true ? {} : accessibility;
+    return {
+        failOn: settings.failOn || defaults.failOn,
+        tags: settings.tags || null,
+        exclude: settings.exclude || [],
+    };
+}
+
+// Audit the current state of the page. `stage` tells when it ran (navigation, final).
+export async function auditAccessibility(page, settings, stage) {
+    if (!axeSource) {
+        axeSource = await readFile(axeScript, 'utf8');
+    }
+    // Evaluated through the devtools protocol, so the page's Content-Security-Policy doesn't apply
+    await page.evaluate(axeSource);
+
+    const results = await page.evaluate(async ({ tags, exclude }) => {
+        const context = exclude.length ? { include: [document], exclude: exclude.map(selector => [selector]) } : document;
+        const options = tags ? { runOnly: { type: 'tag', values: tags } } : {};
+        const { violations, passes, incomplete } = await window.axe.run(context, options);
+        return {
+            violations: violations.map(violation => ({
+                rule: violation.id,
+                impact: violation.impact,
+                description: violation.description,
+                help: violation.help,
+                helpUrl: violation.helpUrl,
+                nodeCount: violation.nodes.length,
+                nodes: violation.nodes.map(node => ({
+                    selector: node.target.join(' '),
+                    html: node.html,
+                    failureSummary: node.failureSummary,
+                })),
+            })),
+            passes: passes.length,
+            incomplete: incomplete.length,
+        };
+    }, settings);
+
+    for (const violation of results.violations) {
+        violation.nodes = violation.nodes.slice(0, maxNodes);
+    }
+    return { stage, url: page.url(), timestamp: new Date().toISOString(), ...results };
+}
+
+// Violation counts per impact over all audits, counting a rule once per audit
+export function summarizeAudits(audits) {
+    const counts = Object.fromEntries(impactLevels.map(level => [level, 0]));
+    for (const audit of audits) {
+        for (const violation of audit.violations) {
+            if (violation.impact in counts) counts[violation.impact]++;
+        }
+    }
+    return counts;
+}
+
+// Failure messages for violations at or above the failOn impact. A rule that fails in several
+// audits is reported once.
+export function accessibilityFailures(audits, settings) {
+    if (settings.failOn === 'none') return [];
+    const threshold = impactLevels.indexOf(settings.failOn);
+    const failing = new Map();
+    for (const audit of audits) {
+        for (const violation of audit.violations) {
+            if (impactLevels.indexOf(violation.impact) >= threshold && !failing.has(violation.rule)) {
+                failing.set(violation.rule, violation);
+            }
+        }
+    }
+    if (!failing.size) return [];
+    const rules = [...failing.values()].map(violation => `${violation.rule} (${violation.impact}: ${violation.nodes[0]?.selector || violation.help})`);
+    return [`accessibility violations of ${settings.failOn} impact or higher: ${rules.join(', ')}`];
+}
@@ -1,182 +1,563 @@
-import puppeteer from 'puppeteer';
-import { join } from 'path';
-import { mkdir, writeFile } from 'fs/promises';
-import axios from 'axios';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import { join, resolve, sep } from 'path';
+import { mkdir, writeFile, access } from 'fs/promises';
+import { dataPath } from './storage.js';
+import { getProvider } from './providers.js';
+import { launchBrowser } from './browserPool.js';
+import { assertionTypes, assertionGuide, runAssertion, verifyAssertions, lastAttempts } from './assertions.js';
+import { findVerifier } from './verifiers.js';
+import { applyAuthProfile } from './auth.js';
+import { loadSecrets, resolveSecrets, redact, secretNames } from './secrets.js';
+import { startCapture, summarizeCapture, captureViolations, saveCaptureArtifacts } from './capture.js';
+import { applyMocks } from './mocks.js';
+import { visualSettings, compareScreenshots, visualFailures } from './visual.js';
+import { accessibilitySettings, auditAccessibility, summarizeAudits, accessibilityFailures } from './accessibility.js';
+import { startPerformance, recordMetrics, budgetViolations } from './performance.js';
+import { resolveDeviceProfile, applyDeviceProfile, expandMatrix } from './devices.js';
+import { tabActionTypes, tabGuide, trackTabs } from './tabs.js';
+import { trackDialogs } from './dialogs.js';
+import { locatorOf, refOf, describeTarget, selectorGuide } from './locators.js';
+import { snapshotSettings, takeSnapshot, ensureRefs, stableTargetOf } from './snapshot.js';
+import { requireVision, captureForModel, visionGuide, clickAt } from './vision.js';
 
 // Universal delay function to replace page.waitForTimeout
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// Obfuscate API key for logging (show first 5 and last 5 characters, mask the rest)
-const obfuscateApiKey = (key) => {
-    if (!key || key.length < 10) return '***';
-    return `${key.slice(0, 5)}...${key.slice(-5)}`;
-};
-
-// Configure OpenAI client
-const openAI = axios.create({
-    baseURL: 'https://api.openai.com/v1',
-    headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-});
+// Action types understood by executeActions
+const actionTypes = [
+    'click', 'fill', 'extract', 'navigate', 'wait', 'screenshot', 'submit',
+    'hover', 'press', 'scrollTo', 'scrollIntoView', 'check', 'uncheck', 'clear', 'uploadFile', 'dragAndDrop', 'goBack', 'reload', 'handleDialog',
+    'clickAt', ...tabActionTypes, ...assertionTypes,
+];
+
+// The action types a prompt offers; clicking at coordinates only makes sense with a screenshot attached
+function promptActionTypes(image) {
+    return actionTypes.filter(type => image || type !== 'clickAt').join(', ');
+}
+
+// How the interaction actions are explained to the model, shared by the plan and step prompts
+const actionGuide = `Besides clicking, filling and submitting, these actions are available:
+          - hover: "target" is the element to move the mouse over, e.g. to open a menu.
+          - press: "value" is a key or a combination like "Enter", "Tab", "Escape" or "Control+A"; an optional "target" is focused first.
+          - scrollTo: "target" is an element to scroll to, or 'page' with "value" "top", "bottom" or a pixel offset. scrollIntoView: "target" is the element.
+          - check / uncheck: "target" is a checkbox or radio button.
+          - clear: "target" is a form field to empty.
+          - uploadFile: "target" is a file input, "value" a file name from the fixtures directory (an array for several files).
+          - dragAndDrop: "target" is the element to drag, "value" the element to drop it on, as a target (ref, selector or { "role", "name" }).
+          - goBack / reload: go back in the history or reload the page.
+          - handleDialog: put it before the action that opens an alert, confirm or prompt dialog; "value" is "accept" or "dismiss", "text" the answer to a prompt. Dialogs without it are accepted.`;
+
+// Files uploadFile actions may upload
+const fixturesDir = resolve(dataPath('fixtures'));
+
+// Default number of actions the step-mode agent may take before the run fails
+const defaultMaxSteps = 15;
+
+// Notify an options.onProgress listener; a failing listener must never break the run
+function reportProgress(onProgress, type, data = {}) {
+    if (!onProgress) return;
+    try {
+        onProgress({ type, timestamp: new Date().toISOString(), ...data });
+    } catch (error) {
+        console.error(`Progress listener failed for ${type}:`, error.message);
+    }
+}
+
+// Record a screenshot on the run and announce it to the progress listener
+function addScreenshot(screenshots, screenshot, onProgress) {
+    screenshots.push(screenshot);
+    reportProgress(onProgress, 'screenshot:taken', screenshot);
+}
 
 export async function runQATest(url, instructions, options = {}) {
-    console.log('Starting runQATest:', { url, instructions, options });
-    
-    if (!process.env.OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY is not set in environment variables');
+    if (options.matrix) {
+        return runMatrix(url, instructions, options);
     }
+    await loadSecrets();
+    console.log('Starting runQATest:', { url, instructions, options });
+
+    const provider = redactingProvider(getProvider(options));
+    console.log('Using LLM provider:', provider.describe());
 
-    console.log('Using OpenAI API key:', obfuscateApiKey(process.env.OPENAI_API_KEY));
+    // options.signal cancels the run and options.timeout (seconds) bounds it. Either way the run
+    // stops where it is and resolves with the steps completed so far.
+    const signals = [options.signal, options.timeout && AbortSignal.timeout(options.timeout * 1000)].filter(Boolean);
+    const signal = signals.length ? AbortSignal.any(signals) : null;
+    const { onProgress } = options;
+    options = {
+        ...options,
+        signal,
+        // Nothing is reported once the run has been interrupted
+        onProgress: onProgress && (event => !signal?.aborted && onProgress(redact(event))),
+    };
 
-    let browser;
+    // What the run has produced so far, kept outside testPage so an interrupted run can still report it
+    const state = { browser: null, lease: null, capture: null, mocks: null, audits: [], performance: null, screenshots: [], findings: [], aiAnalysis: null };
+    const run = testPage(url, instructions, provider, options, state);
     try {
-        console.log('Launching Puppeteer browser...');
-        browser = await puppeteer.launch({
-            headless: 'new',
-            executablePath: '/usr/bin/google-chrome', // Adjust path as needed
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--disable-extensions',
-                '--disable-web-security',
-                '--disable-features=site-per-process',
-                '--no-first-run',
-                '--disable-background-networking',
-                '--disable-background-timer-throttling',
-                '--disable-client-side-phishing-detection',
-                '--user-agent=Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
-            ],
-            timeout: 120000,
-            protocolTimeout: 120000,
-            pipe: true,
-            dumpio: true
+        const results = await (signal ? Promise.race([run, rejectOnAbort(signal)]) : run);
+        return redact(await withArtifacts(results, state, options));
+    } catch (error) {
+        if (signal?.aborted) {
+            // The interrupted run fails in the background once its browser is gone
+            run.catch(() => {}).finally(() => releaseBrowser(state));
+            return redact(await withArtifacts(interruptedResult(url, instructions, provider, options, state, signal.reason), state, options));
+        }
+        console.error('runQATest error:', {
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+            error: error
         });
+        throw error;
+    } finally {
+        await releaseBrowser(state);
+    }
+}
+
+// Run the test once per combination of options.matrix, one after another, and combine the results.
+// Each combination keeps its own screenshots, artifacts and visual baseline.
+async function runMatrix(url, instructions, options) {
+    const { matrix, ...baseOptions } = options;
+    const combinations = expandMatrix(matrix, options.device ?? options.userAgent);
+    const visual = visualSettings(options.visual, url, instructions);
+    console.log(`Running matrix of ${combinations.length} combinations:`, combinations.map(combination => combination.label));
+
+    const runs = [];
+    for (const [index, combination] of combinations.entries()) {
+        if (options.signal?.aborted) {
+            runs.push({ label: combination.label, slug: combination.slug, device: combination.device, status: 'skipped', message: 'Not run: the run was cancelled', result: null });
+            continue;
+        }
+        reportProgress(options.onProgress, 'matrix:started', { index, total: combinations.length, label: combination.label });
+
+        let result;
+        try {
+            // options.timeout is passed on, so it bounds each combination rather than the whole matrix
+            result = await runQATest(url, instructions, {
+                ...baseOptions,
+                device: combination.device,
+                runId: options.runId && `${options.runId}/${combination.slug}`,
+                visual: visual && { ...visual, baseline: `${visual.baseline}-${combination.slug}` },
+                onProgress: options.onProgress && (event => options.onProgress({ ...event, combination: combination.label })),
+            });
+        } catch (error) {
+            result = { url, instructions, status: 'error', message: error.message, error: error.message };
+        }
+        runs.push({ label: combination.label, slug: combination.slug, device: combination.device, status: result.status, message: result.message, result });
+        reportProgress(options.onProgress, 'matrix:finished', { index, label: combination.label, status: result.status, message: result.message });
+    }
+
+    const passed = runs.filter(run => run.status === 'success');
+    const failed = runs.filter(run => run.status !== 'success' && run.status !== 'skipped');
+    const status = passed.length === runs.length ? 'success' : options.signal?.aborted ? 'cancelled' : 'failed';
+    const failures = failed.map(run => `${run.label}: ${run.message}`);
+    return {
+        url,
+        instructions,
+        timestamp: new Date().toISOString(),
+        status,
+        message: `${passed.length}/${runs.length} combinations passed${failures.length ? `. ${failures.join('; ')}` : ''}`,
+        matrix: runs,
+        screenshots: runs.flatMap(run => (run.result?.screenshots || []).map(screenshot => ({ ...screenshot, description: `[${run.label}] ${screenshot.description}` }))),
+        artifacts: runs.flatMap(run => (run.result?.artifacts || []).map(artifact => ({ ...artifact, name: `${run.slug}-${artifact.name}` }))),
+    };
+}
+
+async function testPage(url, instructions, provider, options, state) {
+    // Resolved first, so an unknown device or a provider without image input fails the run before a browser is taken
+    const device = await resolveDeviceProfile(options.device ?? options.userAgent ?? 'desktop');
+    if (options.vision) {
+        requireVision(provider);
+    }
+
+    let page;
+    if (options.browserPool) {
+        console.log('Acquiring browser context from pool...');
+        state.lease = await options.browserPool.acquire();
+        options.signal?.throwIfAborted();
+        reportProgress(options.onProgress, 'browser:launched', { pooled: true });
+
+        console.log('Creating new page...');
+        page = await state.lease.context.newPage();
+        console.log('Page created');
+        state.capture = startCapture(page);
+    } else {
+        console.log('Launching Puppeteer browser...');
+        state.browser = await launchBrowser();
+        options.signal?.throwIfAborted();
         console.log('Browser launched successfully');
+        reportProgress(options.onProgress, 'browser:launched', { pooled: false });
 
         console.log('Creating new page...');
-        const page = await browser.newPage();
+        page = await state.browser.newPage();
         console.log('Page created');
+        state.capture = startCapture(page);
+    }
+    state.performance = await startPerformance(page);
 
-        if (options.userAgent === 'mobile') {
-            console.log('Setting mobile user agent and viewport...');
-            await page.setUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1');
-            await page.setViewport({ width: 375, height: 812 });
-        } else if (options.userAgent === 'tablet') {
-            console.log('Setting tablet user agent and viewport...');
-            await page.setUserAgent('Mozilla/5.0 (iPad; CPU OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1');
-            await page.setViewport({ width: 768, height: 1024 });
-        }
+    console.log(`Emulating device "${device.name}"...`);
+    await applyDeviceProfile(page, device, url);
 
-        console.log(`Navigating to ${url}...`);
-        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-        console.log('Navigation completed');
-
-        console.log('Checking for cookie consent popup...');
-        const isPopupHandled = await handleCookiePopup(page);
-        if (!isPopupHandled) {
-            console.log('No cookie consent popup found or failed to handle');
-        } else {
-            console.log('Cookie consent popup handled');
-            await delay(2000); // Increased delay to ensure page settles
-        }
+    if (options.mocks?.length) {
+        state.mocks = await applyMocks(page, options.mocks);
+        reportProgress(options.onProgress, 'mocks:applied', { rules: options.mocks.length });
+    }
 
-        console.log(`Waiting for ${options.waitTime || 10} seconds...`);
-        await delay((options.waitTime || 10) * 1000);
+    if (options.auth) {
+        console.log(`Applying auth profile "${options.auth}"...`);
+        const auth = await applyAuthProfile(page, options.auth, {
+            runLogin: (loginPage, login) => runLoginFlow(loginPage, login, options),
+        });
+        reportProgress(options.onProgress, 'auth:applied', auth);
+    }
 
-        const screenshots = [];
-        if (options.screenshots !== false) {
-            console.log('Taking initial screenshot...');
-            const screenshotPath = await takeScreenshot(page, 'initial');
-            screenshots.push({
-                id: 'initial',
-                description: 'Initial page load',
-                timestamp: new Date().toISOString(),
-                path: screenshotPath,
-            });
-            console.log('Initial screenshot taken');
-        }
+    // Tabs and popups the page opens get their traffic recorded and their dialogs answered like the first one
+    const dialogs = trackDialogs();
+    dialogs.watch(page);
+    const tabs = trackTabs(page, {
+        onOpen: newPage => {
+            startCapture(newPage, state.capture);
+            dialogs.watch(newPage);
+            state.mocks?.watch(newPage).catch(error => console.error('Could not mock the requests of a new tab:', error.message));
+        },
+    });
 
-        console.log('Analyzing page structure...');
-        const pageAnalysis = await analyzePage(page);
-        console.log('Page analysis completed');
+    console.log(`Navigating to ${url}...`);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    console.log('Navigation completed');
+    reportProgress(options.onProgress, 'page:navigated', { url: page.url() });
 
+    console.log('Checking for cookie consent popup...');
+    const isPopupHandled = await handleCookiePopup(page);
+    if (!isPopupHandled) {
+        console.log('No cookie consent popup found or failed to handle');
+    } else {
+        console.log('Cookie consent popup handled');
+        await delay(2000); // Increased delay to ensure page settles
+    }
+    reportProgress(options.onProgress, 'cookie:handled', { handled: isPopupHandled });
+
+    console.log(`Waiting for ${options.waitTime || 10} seconds...`);
+    await delay((options.waitTime || 10) * 1000);
+    await recordPerformance(page, state.performance, 'load');
+
+    const accessibility = accessibilitySettings(options.accessibility);
+    if (accessibility) {
+        await runAccessibilityAudit(page, accessibility, 'navigation', state, options.onProgress);
+    }
+
+    const screenshots = state.screenshots;
+    if (options.screenshots !== false) {
+        console.log('Taking initial screenshot...');
+        const screenshotPath = await takeScreenshot(page, 'initial', options.runId);
+        addScreenshot(screenshots, {
+            id: 'initial',
+            description: 'Initial page load',
+            timestamp: new Date().toISOString(),
+            path: screenshotPath,
+        }, options.onProgress);
+        console.log('Initial screenshot taken');
+    }
+
+    console.log('Analyzing page structure...');
+    const pageAnalysis = await analyzePage(page, tabs, snapshotSettings(options.snapshot));
+    console.log('Page analysis completed');
+
+    let aiAnalysis;
+    let actionResults;
+    if (options.plan) {
+        console.log('Replaying locked action plan...');
+        aiAnalysis = state.aiAnalysis = lockedPlanAnalysis(options.plan);
+        reportProgress(options.onProgress, 'plan:generated', { actions: aiAnalysis.actions, interpretation: aiAnalysis.interpretation, replay: true });
+        actionResults = await executeActions(page, aiAnalysis.actions, screenshots, {
+            heal: options.heal === false ? null : (action, error) => healSelector(tabs, provider, action, error),
+            runId: options.runId,
+            onProgress: options.onProgress,
+            signal: options.signal,
+            completed: state.findings,
+            performance: state.performance,
+            tabs,
+            dialogs,
+        });
+        console.log('Locked plan replayed');
+    } else if (options.mode === 'step') {
+        console.log('Running step-by-step agent loop...');
+        ({ aiAnalysis, actionResults } = await runAgentLoop(page, provider, instructions, pageAnalysis, screenshots, {
+            ...options,
+            completed: state.findings,
+            performance: state.performance,
+            tabs,
+            dialogs,
+            onAnalysis: analysis => { state.aiAnalysis = analysis; },
+        }));
+        console.log('Agent loop finished:', aiAnalysis.outcome);
+    } else {
         console.log('Processing test instructions...');
-        const aiAnalysis = await processTestInstructions(instructions, pageAnalysis);
+        const image = options.vision ? await captureForModel(page) : null;
+        aiAnalysis = state.aiAnalysis = await processTestInstructions(provider, instructions, pageAnalysis, image);
         console.log('Test instructions processed');
+        reportProgress(options.onProgress, 'plan:generated', { actions: aiAnalysis.actions, interpretation: aiAnalysis.interpretation });
 
         console.log('Executing test actions...');
-        const actionResults = await executeActions(page, aiAnalysis.actions, screenshots);
+        actionResults = await executeActions(page, aiAnalysis.actions, screenshots, {
+            runId: options.runId,
+            onProgress: options.onProgress,
+            signal: options.signal,
+            completed: state.findings,
+            performance: state.performance,
+            tabs,
+            dialogs,
+        });
         console.log('Test actions executed');
+    }
+    // The run is verified in the tab it ended in, e.g. the app a login popup returned to
+    page = tabs.page;
+
+    if (accessibility) {
+        await runAccessibilityAudit(page, accessibility, 'final', state, options.onProgress);
+    }
 
-        console.log('Verifying outcome...');
-        const verification = await verifyOutcome(page, aiAnalysis.expectedOutcome, instructions, actionResults);
-        const status = verification.success ? 'success' : 'failed';
-        console.log('Outcome verified:', { status, message: verification.message });
-
-        if (options.screenshots !== false) {
-            console.log('Taking final screenshot...');
-            const screenshotPath = await takeScreenshot(page, 'final');
-            screenshots.push({
-                id: 'final',
-                description: `Final state after ${status} test`,
+    console.log('Verifying outcome...');
+    let verification;
+    const assertionResults = actionResults.filter(result => assertionTypes.includes(result.action.type));
+    if (aiAnalysis.outcome && aiAnalysis.outcome.status !== 'done') {
+        // The agent gave up or ran out of steps, so there is nothing to verify
+        verification = { success: false, message: `Test failed: ${aiAnalysis.outcome.reason}` };
+    } else if (assertionResults.length && aiAnalysis.mode === 'step') {
+        // The agent retries failed actions and declared the run done, so only the last attempt at each
+        // assertion counts, and failed steps it recovered from don't
+        verification = { ...verifyAssertions(lastAttempts(assertionResults)), verifiedBy: 'assertions' };
+    } else if (assertionResults.length) {
+        // In planned and replayed runs a failed step fails the run even when the assertions pass;
+        // otherwise the assertions decide, and the heuristics below are only a fallback
+        const failedSteps = actionResults
+            .map((result, index) => ({ result, index }))
+            .filter(({ result }) => result.status === 'failed' && !assertionTypes.includes(result.action.type))
+            .map(({ result, index }) => `step ${index + 1} (${result.action.type}) failed: ${result.error}`);
+        verification = failVerification({ ...verifyAssertions(assertionResults), verifiedBy: 'assertions' }, failedSteps);
+    } else if (aiAnalysis.mode === 'replay') {
+        // A replay runs without the model, so without assertions its recorded steps decide
+        verification = { ...verifyReplay(actionResults), verifiedBy: 'replay' };
+    } else {
+        verification = await verifyOutcome(page, provider, aiAnalysis.expectedOutcome, instructions, actionResults, { vision: options.vision });
+    }
+    // options.failOn rules fail a run on page errors or 5xx responses, whatever the verification said
+    verification = failVerification(verification, captureViolations(state.capture, options.failOn));
+    verification = failVerification(verification, budgetViolations(state.performance.snapshots, options.budgets));
+    if (accessibility) {
+        verification = failVerification(verification, accessibilityFailures(state.audits, accessibility));
+    }
+
+    if (options.screenshots !== false) {
+        console.log('Taking final screenshot...');
+        const screenshotPath = await takeScreenshot(page, 'final', options.runId);
+        addScreenshot(screenshots, {
+            id: 'final',
+            description: `Final state after ${verification.success ? 'success' : 'failed'} test`,
+            timestamp: new Date().toISOString(),
+            path: screenshotPath,
+        }, options.onProgress);
+        console.log('Final screenshot taken');
+    }
+
+    // Screenshots that drift from their baseline fail the run, even when every action succeeded
+    const visualCheck = visualSettings(options.visual, url, instructions);
+    let visual = null;
+    if (visualCheck) {
+        console.log(`Comparing screenshots with baseline "${visualCheck.baseline}"...`);
+        visual = await compareScreenshots([...screenshots], visualCheck, options.runId);
+        for (const comparison of visual.comparisons.filter(comparison => comparison.diff)) {
+            addScreenshot(screenshots, {
+                id: `diff:${comparison.screenshot}`,
+                description: `Differences of "${comparison.screenshot}" from its baseline`,
                 timestamp: new Date().toISOString(),
-                path: screenshotPath,
-            });
-            console.log('Final screenshot taken');
+                path: comparison.diff,
+            }, options.onProgress);
         }
+        verification = failVerification(verification, visualFailures(visual));
+    }
 
-        const results = {
-            url,
-            instructions,
-            timestamp: new Date().toISOString(),
-            status,
-            message: verification.message,
-            analysis: {
-                pageTitle: await page.title(),
-                pageStructure: pageAnalysis,
-                aiInterpretation: aiAnalysis,
-                taskExecution: {
-                    stepsPerformed: actionResults.length,
-                    successRate: calculateSuccessRate(actionResults),
-                    findings: actionResults,
-                },
-            },
-            screenshots,
-            technicalDetails: {
-                browser: 'Chrome/Chromium',
-                viewport: page.viewport(),
-                userAgent: await page.evaluate(() => navigator.userAgent),
+    const status = verification.success ? 'success' : 'failed';
+    console.log('Outcome verified:', { status, message: verification.message });
+    reportProgress(options.onProgress, 'verification:done', { status, message: verification.message });
+
+    const results = {
+        url,
+        instructions,
+        timestamp: new Date().toISOString(),
+        status,
+        message: verification.message,
+        analysis: {
+            pageTitle: await page.title(),
+            pageStructure: pageAnalysis,
+            aiInterpretation: aiAnalysis,
+            verifiedBy: verification.verifiedBy || null,
+            visual,
+            accessibility: accessibilityReport(state, accessibility),
+            taskExecution: {
+                stepsPerformed: actionResults.length,
+                successRate: calculateSuccessRate(actionResults),
+                findings: actionResults,
+                healedSelectors: collectHealedSelectors(actionResults),
             },
-        };
+        },
+        screenshots,
+        technicalDetails: {
+            browser: 'Chrome/Chromium',
+            device,
+            viewport: page.viewport(),
+            userAgent: await page.evaluate(() => navigator.userAgent),
+            llmProvider: { name: provider.name, model: provider.model },
+            capture: summarizeCapture(state.capture),
+            mocks: state.mocks?.summary() || null,
+            performance: state.performance.snapshots,
+            tabs: (await tabs.describe()).tabs,
+            dialogs: dialogs.list(),
+        },
+    };
 
-        console.log('runQATest completed:', results);
-        return results;
+    console.log('runQATest completed:', results);
+    return results;
+}
 
+// Fail a verification because of `problems`, keeping its own failure message after them
+function failVerification(verification, problems) {
+    if (!problems.length) return verification;
+    const failedVerification = verification.success ? '' : `. ${verification.message}`;
+    return { ...verification, success: false, message: `Test failed: ${problems.join('; ')}${failedVerification}` };
+}
+
+// Snapshot the page's performance metrics. A page that can't be measured (e.g. it is navigating
+// again) leaves a gap in the metrics rather than failing the run.
+async function recordPerformance(page, tracker, stage, actionIndex) {
+    try {
+        const snapshot = await recordMetrics(page, tracker, stage, actionIndex);
+        console.log(`Performance metrics (${stage}):`, snapshot.metrics);
     } catch (error) {
-        console.error('runQATest error:', {
-            message: error.message,
-            name: error.name,
-            stack: error.stack,
-            error: error
-        });
-        throw error;
-    } finally {
-        if (browser) {
-            console.log('Closing browser...');
-            await browser.close().catch(err => console.error('Browser close error:', err));
-            console.log('Browser closed');
-        }
+        console.error(`Recording performance metrics (${stage}) failed:`, error.message);
+    }
+}
+
+// Audit the page and keep the audit on the run. An audit that can't run (e.g. the page navigated
+// away mid-audit) is recorded with its error instead of failing the run.
+async function runAccessibilityAudit(page, settings, stage, state, onProgress) {
+    console.log(`Running accessibility audit (${stage})...`);
+    try {
+        const audit = await auditAccessibility(page, settings, stage);
+        state.audits.push(audit);
+        console.log(`Accessibility audit (${stage}) found ${audit.violations.length} violated rules`);
+        reportProgress(onProgress, 'accessibility:audited', { stage, violations: audit.violations.length });
+    } catch (error) {
+        console.error(`Accessibility audit (${stage}) failed:`, error.message);
+        state.audits.push({ stage, url: page.url(), timestamp: new Date().toISOString(), error: error.message, violations: [] });
+    }
+}
+
+function accessibilityReport(state, settings) {
+    if (!settings) return null;
+    return { failOn: settings.failOn, summary: summarizeAudits(state.audits), audits: state.audits };
+}
+
+// Store the network and console logs of the run as artifacts; runs without an ID (CLI) get one.
+// Failing to write them is logged but never fails the run.
+async function withArtifacts(results, state, options) {
+    if (!state.capture) return results;
+    try {
+        const artifacts = await saveCaptureArtifacts(options.runId || `local-${Date.now()}`, state.capture);
+        return { ...results, artifacts };
+    } catch (error) {
+        console.error('Failed to save run artifacts:', error.message);
+        return results;
     }
 }
 
+// Secret values that reach a prompt (e.g. a filled field in the page analysis) are sent as placeholders
+function redactingProvider(provider) {
+    return {
+        ...provider,
+        complete: request => provider.complete({ ...request, system: redact(request.system), prompt: redact(request.prompt) }),
+    };
+}
+
+// Tell the model which secrets exist, so it can use their placeholders as values
+function secretsGuide() {
+    const names = secretNames();
+    if (!names.length) return '';
+    return `Secrets available as placeholders: ${names.map(name => `{{secret:${name}}}`).join(', ')}. Use a placeholder verbatim as the "value" of fill actions; never guess the real value.`;
+}
+
+// Perform the recorded login flow of an auth profile; throws unless every action succeeded.
+// Its steps are not part of the run's findings.
+async function runLoginFlow(page, login, options) {
+    await page.goto(login.url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const results = await executeActions(page, login.actions, [], { runId: options.runId, signal: options.signal });
+    options.signal?.throwIfAborted();
+    const failed = results.find(result => result.status !== 'success');
+    if (failed) {
+        throw new Error(`Login flow failed at ${failed.action.type} ${failed.action.target ?? ''}: ${failed.error || failed.reason}`);
+    }
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+}
+
+// Release the pooled context or close the browser of a run; safe to call more than once
+async function releaseBrowser(state) {
+    const { lease, browser } = state;
+    state.lease = null;
+    state.browser = null;
+    if (lease) {
+        console.log('Releasing browser context...');
+        await lease.release();
+    }
+    if (browser) {
+        console.log('Closing browser...');
+        await browser.close().catch(err => console.error('Browser close error:', err));
+        console.log('Browser closed');
+    }
+}
+
+function rejectOnAbort(signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+}
+
+// Result of a cancelled or timed out run, with the steps that completed before it stopped
+function interruptedResult(url, instructions, provider, options, state, reason) {
+    const status = reason?.name === 'TimeoutError' ? 'timeout' : 'cancelled';
+    const message = status === 'timeout'
+        ? `Run timed out after ${options.timeout} seconds`
+        : 'Run cancelled';
+    const findings = [...state.findings];
+    console.log(`runQATest ${status}:`, { url, stepsPerformed: findings.length });
+
+    return {
+        url,
+        instructions,
+        timestamp: new Date().toISOString(),
+        status,
+        message: `${message} (${findings.length} steps completed)`,
+        analysis: {
+            aiInterpretation: state.aiAnalysis,
+            accessibility: accessibilityReport(state, accessibilitySettings(options.accessibility)),
+            taskExecution: {
+                stepsPerformed: findings.length,
+                successRate: calculateSuccessRate(findings),
+                findings,
+                healedSelectors: collectHealedSelectors(findings),
+            },
+        },
+        screenshots: [...state.screenshots],
+        technicalDetails: {
+            browser: 'Chrome/Chromium',
+            llmProvider: { name: provider.name, model: provider.model },
+            capture: state.capture ? summarizeCapture(state.capture) : null,
+            mocks: state.mocks?.summary() || null,
+            performance: state.performance?.snapshots || [],
+        },
+    };
+}
+
 async function handleCookiePopup(page) {
     const generalSelectors = [
         'button[aria-label="Accept"], button[aria-label="Accept all"], button[aria-label="Agree"], button[aria-label="OK"], button[aria-label="Consent"]',
@@ -184,9 +565,9 @@ async function handleCookiePopup(page) {
     ].join(', ');
 
     const siteSpecificSelectors = {
-        'whatismyip.com': 'button:contains("Accept & Close")',
+        'whatismyip.com': 'button::-p-text(Accept & Close)',
         'google.com': 'button[aria-label="Accept all"], #L2AGLb'
-    }[new URL(page.url()).hostname] || '';
+    }[new URL(page.url()).hostname.replace(/^www\./, '')] || '';
 
     const allSelectors = [generalSelectors, siteSpecificSelectors].filter(s => s).join(', ');
 
@@ -204,72 +585,22 @@ async function handleCookiePopup(page) {
     }
 }
 
-async function analyzePage(page) {
+// A compact snapshot of the page or frame `page` for the prompts (see snapshot.js). With `tabs`,
+// it also lists the open tabs and the active frame.
+async function analyzePage(page, tabs, settings) {
     try {
-        console.log('Evaluating page structure...');
-        return await page.evaluate(() => {
-            const elements = {
-                forms: Array.from(document.querySelectorAll('form')).map(form => ({
-                    id: form.id,
-                    action: form.action,
-                    method: form.method,
-                    inputs: Array.from(form.querySelectorAll('input')).map(input => ({
-                        type: input.type,
-                        name: input.name,
-                        id: input.id,
-                        placeholder: input.placeholder,
-                        required: input.required,
-                    })),
-                })),
-                buttons: Array.from(document.querySelectorAll('button, input[type="submit"], input[type="button"]')).map(btn => ({
-                    type: btn.type || 'button',
-                    text: btn.textContent.trim() || btn.value,
-                    id: btn.id,
-                    classes: Array.from(btn.classList),
-                    ariaLabel: btn.getAttribute('aria-label') || ''
-                })),
-                links: Array.from(document.querySelectorAll('a')).map(link => ({
-                    href: link.href,
-                    text: link.textContent.trim(),
-                    id: link.id,
-                })),
-                inputs: Array.from(document.querySelectorAll('input, textarea, select')).map(input => ({
-                    type: input.type || input.tagName.toLowerCase(),
-                    name: input.name,
-                    id: input.id,
-                    placeholder: input.placeholder,
-                })),
-                images: Array.from(document.querySelectorAll('img')).map(img => ({
-                    src: img.src,
-                    alt: img.alt,
-                    id: img.id,
-                })),
-                ipElements: Array.from(document.querySelectorAll('[data-ip], .ip-address, [class*="ip"], p')).map(el => ({
-                    text: el.textContent.trim(),
-                    id: el.id,
-                    classes: Array.from(el.classList),
-                    tag: el.tagName.toLowerCase(),
-                    dataIp: el.getAttribute('data-ip') || ''
-                })),
-                searchResults: Array.from(document.querySelectorAll('[role="listitem"], .g, .tF2Cxc')).map(result => ({
-                    title: result.querySelector('h3')?.textContent.trim() || '',
-                    url: result.querySelector('a')?.href || '',
-                    snippet: result.querySelector('.VwiC3b, .IsZvec')?.textContent.trim() || ''
-                })),
-            };
-
-            return {
-                elements,
-                documentStructure: {
-                    title: document.title,
-                    headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(h => ({
-                        level: h.tagName,
-                        text: h.textContent.trim(),
-                    })),
-                    metaDescription: document.querySelector('meta[name="description"]')?.content,
-                },
-            };
-        });
+        console.log('Taking page snapshot...');
+        const browsing = tabs ? await tabs.describe() : null;
+        const header = [];
+        if (browsing?.tabs.length > 1) {
+            header.push(`Tabs: ${browsing.tabs.map(tab => `[${tab.index}] ${tab.title || tab.url}${tab.active ? ' (active)' : ''}`).join(', ')}`);
+        }
+        if (browsing?.frame) {
+            header.push(`Active frame: ${browsing.frame.name || browsing.frame.url}`);
+        }
+        const snapshot = await takeSnapshot(page, settings, header);
+        console.log(`Page snapshot: ${snapshot.elements.length} elements, about ${snapshot.tokens} tokens`);
+        return browsing ? { ...snapshot, ...browsing } : snapshot;
     } catch (error) {
         console.error('analyzePage error:', {
             message: error.message,
@@ -281,30 +612,38 @@ async function analyzePage(page) {
     }
 }
 
-async function processTestInstructions(instructions, pageAnalysis) {
+// With an `image` (vision mode), the model also sees the viewport and may plan clickAt actions
+async function processTestInstructions(provider, instructions, pageAnalysis, image = null) {
     const prompt = `
         You are an AI QA testing assistant for web applications. Your task is to interpret the user's test instructions and the page structure to generate a sequence of actions to perform the test. The instructions may involve extracting data (e.g., IP addresses), interacting with forms (e.g., searching), or capturing screenshots of specific states.
 
         User Instructions: "${instructions}"
 
-        Page Analysis: ${JSON.stringify(pageAnalysis, null, 2)}
+        Page Snapshot:
+${pageAnalysis.text}
 
         Instructions:
         - Analyze the user's instructions to determine the test scenario (e.g., extracting an IP address, performing a search, capturing a screenshot).
         - Based on the page structure, identify the elements needed to perform the test.
         - For extraction tasks (e.g., IP address), use valid CSS selectors (e.g., '.ip-address', '[data-ip]', '#ipv4-head') and avoid jQuery-specific pseudo-selectors like ':contains'.
+        - ${selectorGuide}
         - For dynamic content (e.g., IP addresses that load slowly), include a 'wait' action to ensure the element is visible and updated (not 'Detecting...').
         - For form interactions (e.g., search), identify input fields and submit buttons, and include actions to fill and submit the form.
         - For search tasks (e.g., Google search), extract results from elements like '.g' or '[role="listitem"]' and include their title, URL, and snippet.
         - For screenshot-only tasks, include a 'screenshot' action with a descriptive ID and description.
         - For actions like signing up, generate test credentials (e.g., email: testuser+timestamp@example.com, password: Test123!).
+        - Values written as {{secret:NAME}} in the instructions are secrets: copy the placeholder as the action value. ${secretsGuide()}
+        - ${actionGuide}
+        - ${tabGuide}
+        ${image ? `- ${visionGuide(image)}` : ''}
+        - End with assertion actions that prove the expected outcome, based on what the page should show once the test succeeds. ${assertionGuide}
         - For Google's "I'm Feeling Lucky" button, use selectors like 'input[value="I'm Feeling Lucky"]' or 'input[name="btnI"]', as it is typically an <input> element with the text "I'm Feeling Lucky".
         - Return a JSON object with:
           - "interpretation": A brief explanation of the test scenario.
           - "actions": An array of actions to perform, each with:
-            - "type": Action type (click, fill, extract, navigate, wait, screenshot, submit).
-            - "target": Valid CSS selector or 'page' for screenshots.
-            - "value": Value for fill/submit actions, expected data type for extract (e.g., 'text'), or null.
+            - "type": Action type (${promptActionTypes(image)}).
+            - "target": Valid selector, { "role", "name" } object or 'page' for screenshots.
+            - "value": Value for fill/submit actions, expected data type for extract (e.g., 'text'), expected value for assertions, or null.
             - "description": Human-readable action description.
           - "expectedOutcome": Expected result (e.g., "IP address extracted", "Search results returned", "Screenshot captured").
         - Ensure actions are specific, executable, and based on the page structure.
@@ -356,6 +695,18 @@ async function processTestInstructions(instructions, pageAnalysis) {
                     "target": ".g",
                     "value": "list",
                     "description": "Extract search results (title, URL, snippet)"
+                },
+                {
+                    "type": "assertCount",
+                    "target": ".g",
+                    "value": ">= 1",
+                    "description": "At least one search result is shown"
+                },
+                {
+                    "type": "assertUrl",
+                    "target": "page",
+                    "value": "q=bob",
+                    "description": "The results page is for the query 'bob'"
                 }
             ],
             "expectedOutcome": "Search results for 'bob' are extracted with titles, URLs, and snippets"
@@ -395,23 +746,15 @@ async function processTestInstructions(instructions, pageAnalysis) {
     `;
 
     try {
-        console.log('Calling OpenAI API for instruction processing...');
-        const response = await openAI.post('/chat/completions', {
-            model: 'gpt-4o',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a web QA testing expert. Generate precise actions for automated testing based on user instructions and page structure.',
-                },
-                { role: 'user', content: prompt },
-            ],
-            temperature: 0.3,
-            response_format: { type: 'json_object' },
-            max_tokens: 500,
+        console.log(`Calling ${provider.label} for instruction processing...`);
+        const result = await provider.complete({
+            task: 'plan',
+            system: 'You are a web QA testing expert. Generate precise actions for automated testing based on user instructions and page structure.',
+            prompt,
+            images: image ? [image] : [],
+            maxTokens: 500,
         });
-
-        const result = JSON.parse(response.data.choices[0].message.content);
-        console.log('OpenAI response:', result);
+        console.log(`${provider.label} response:`, result);
         return result;
     } catch (error) {
         console.error('processTestInstructions error:', {
@@ -423,108 +766,187 @@ async function processTestInstructions(instructions, pageAnalysis) {
             status: error.response?.status,
             statusText: error.response?.statusText,
         });
-        throw new Error(`Failed to process test instructions with OpenAI: ${error.message}${error.response?.status ? ` (Status: ${error.response.status} ${error.response.statusText})` : ''}`);
+        throw new Error(`Failed to process test instructions with ${provider.label}: ${error.message}${error.response?.status ? ` (Status: ${error.response.status} ${error.response.statusText})` : ''}`);
+    }
+}
+
+// Observe-plan-act loop: the model picks one action at a time from a fresh page analysis
+async function runAgentLoop(page, provider, instructions, initialAnalysis, screenshots, options = {}) {
+    const maxSteps = options.maxSteps || defaultMaxSteps;
+    const activePage = () => options.tabs?.page ?? page;
+    const trace = [];
+    const actionResults = [];
+    let pageAnalysis = initialAnalysis;
+    let interpretation = '';
+    let expectedOutcome = '';
+    let outcome = null;
+    // The analysis so far; it is handed to options.onAnalysis after every decision and action, so an
+    // interrupted run still reports the steps the agent took
+    const analysis = () => ({
+        mode: 'step',
+        interpretation,
+        expectedOutcome,
+        actions: actionResults.map(result => result.action),
+        maxSteps,
+        stepsUsed: actionResults.length,
+        outcome,
+        trace: [...trace],
+    });
+
+    for (let step = 1; step <= maxSteps && !options.signal?.aborted; step++) {
+        console.log(`Agent step ${step}/${maxSteps}: deciding next action...`);
+        const image = options.vision ? await captureForModel(activePage()) : null;
+        const decision = await decideNextAction(provider, instructions, pageAnalysis, trace, step, maxSteps, image);
+        interpretation = decision.interpretation || interpretation;
+        expectedOutcome = decision.expectedOutcome || expectedOutcome;
+
+        const entry = {
+            step,
+            url: activePage().url(),
+            reasoning: decision.reasoning || '',
+            decision: decision.status,
+            action: decision.action || null,
+        };
+        trace.push(entry);
+        options.onAnalysis?.(analysis());
+        reportProgress(options.onProgress, 'step:decided', { step, reasoning: entry.reasoning, decision: entry.decision, action: entry.action });
+
+        if (decision.status === 'done' || decision.status === 'failed') {
+            outcome = { status: decision.status, reason: decision.reason || decision.reasoning || `Agent declared ${decision.status}` };
+            break;
+        }
+        if (!decision.action) {
+            outcome = { status: 'failed', reason: `Agent returned no action at step ${step}` };
+            break;
+        }
+
+        const [result] = await executeActions(page, [decision.action], screenshots, {
+            runId: options.runId,
+            onProgress: options.onProgress,
+            signal: options.signal,
+            completed: options.completed,
+            performance: options.performance,
+            tabs: options.tabs,
+            dialogs: options.dialogs,
+            startIndex: actionResults.length,
+        });
+        actionResults.push(result);
+        entry.result = { status: result.status, error: result.error, data: result.data };
+        options.onAnalysis?.(analysis());
+
+        // Let navigations and re-renders settle before observing the page again
+        await activePage().waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+        pageAnalysis = await analyzePage(options.tabs?.context() ?? page, options.tabs, snapshotSettings(options.snapshot));
+    }
+
+    if (!outcome) {
+        outcome = { status: 'budget_exhausted', reason: `Step budget of ${maxSteps} actions exhausted before the agent finished` };
+    }
+
+    options.onAnalysis?.(analysis());
+    return { aiAnalysis: analysis(), actionResults };
+}
+
+async function decideNextAction(provider, instructions, pageAnalysis, trace, step, maxSteps, image = null) {
+    const history = trace.map(entry => ({
+        step: entry.step,
+        url: entry.url,
+        action: entry.action,
+        result: entry.result,
+    }));
+
+    const prompt = `
+        You are an AI QA testing assistant driving a browser one action at a time. Look at the user's test instructions, the actions taken so far and the current page structure, then decide the single next action.
+
+        User Instructions: "${instructions}"
+
+        Step: ${step} of ${maxSteps}
+
+        Previous Actions: ${JSON.stringify(history, null, 2)}
+
+        Current Page Snapshot:
+${pageAnalysis.text}
+
+        Instructions:
+        - Only choose elements that exist in the current page snapshot; the page may have changed since the last action.
+        - ${selectorGuide}
+        - If a previous action failed, try a different selector or approach instead of repeating it.
+        - Values written as {{secret:NAME}} in the instructions are secrets: copy the placeholder as the action value. ${secretsGuide()}
+        - ${actionGuide}
+        - ${tabGuide}
+        ${image ? `- ${visionGuide(image)}` : ''}
+        - Before declaring "done", check the result with assertion actions. ${assertionGuide}
+        - Declare "done" once the instructions are fulfilled, or "failed" if they cannot be fulfilled on this page.
+        - Return a JSON object with:
+          - "reasoning": Why this is the next step.
+          - "status": "continue" to perform an action, "done" when the test is complete, or "failed" when it cannot be completed.
+          - "action": When continuing, an object with "type" (${promptActionTypes(image)}), "target" (selector, { "role", "name" } object or 'page' for screenshots), "value" and "description"; otherwise null.
+          - "reason": For "done" or "failed", a short summary of the result.
+          - "interpretation": A brief explanation of the test scenario.
+          - "expectedOutcome": The result that proves the test passed.
+    `;
+
+    try {
+        console.log(`Calling ${provider.label} for the next action...`);
+        const decision = await provider.complete({
+            task: 'step',
+            system: 'You are a web QA testing expert. Decide the next browser action for an automated test based on the current page.',
+            prompt,
+            images: image ? [image] : [],
+            maxTokens: 500,
+        });
+        console.log(`${provider.label} step decision:`, decision);
+        return decision;
+    } catch (error) {
+        console.error('decideNextAction error:', {
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+            error: error,
+            response: error.response?.data,
+            status: error.response?.status,
+            statusText: error.response?.statusText,
+        });
+        throw new Error(`Failed to decide next action with ${provider.label}: ${error.message}${error.response?.status ? ` (Status: ${error.response.status} ${error.response.statusText})` : ''}`);
     }
 }
 
-async function executeActions(page, actions, screenshots) {
+// `completed` collects results across calls so an interrupted run can report them
+// With `tabs`, every action runs in the active tab and frame, or the ones it names itself.
+// Dialogs that opened during an action are listed on its result.
+async function executeActions(page, actions, screenshots, { heal, runId, onProgress, signal, completed, performance, tabs, dialogs, startIndex = 0 } = {}) {
     const results = [];
+    const activePage = () => tabs?.page ?? page;
 
-    for (const action of actions) {
+    for (const [offset, action] of actions.entries()) {
+        if (signal?.aborted) break;
+        const index = startIndex + offset;
+        const startedAt = Date.now();
+        const urlBefore = activePage().url();
+        reportProgress(onProgress, 'action:started', { index, action });
+
+        let result;
+        let context = activePage();
+        let locator = null;
+        const dialogsBefore = dialogs?.count;
         try {
-            console.log(`Executing action: ${action.type} on ${action.target}`);
-
-            switch (action.type) {
-                case 'click':
-                    await page.waitForSelector(action.target, { timeout: 5000 });
-                    await page.click(action.target);
-                    results.push({ action, status: 'success' });
-                    break;
-                case 'fill':
-                case 'type':
-                    await page.waitForSelector(action.target, { timeout: 5000 });
-                    await page.type(action.target, action.value);
-                    results.push({ action, status: 'success' });
-                    break;
-                case 'select':
-                    await page.waitForSelector(action.target, { timeout: 5000 });
-                    await page.select(action.target, action.value);
-                    results.push({ action, status: 'success' });
-                    break;
-                case 'submit':
-                    await page.waitForSelector(action.target, { timeout: 5000 });
-                    await page.evaluate(selector => {
-                        document.querySelector(selector).submit();
-                    }, action.target);
-                    results.push({ action, status: 'success' });
-                    break;
-                case 'extract':
-                    if (action.value === 'list') {
-                        const extractedData = await page.evaluate(selector => {
-                            return Array.from(document.querySelectorAll(selector)).map(el => ({
-                                title: el.querySelector('h3')?.textContent.trim() || '',
-                                url: el.querySelector('a')?.href || '',
-                                snippet: el.querySelector('.VwiC3b, .IsZvec')?.textContent.trim() || ''
-                            }));
-                        }, action.target);
-                        results.push({ action, status: extractedData.length ? 'success' : 'failed', data: extractedData });
-                    } else {
-                        let extractedData = null;
-                        if (action.target.includes('ip')) {
-                            extractedData = await pollForContent(page, action.target, 30000);
-                        } else {
-                            extractedData = await page.evaluate(selector => {
-                                const element = document.querySelector(selector);
-                                return element ? element.textContent.trim() : null;
-                            }, action.target);
-                        }
-                        results.push({ action, status: extractedData ? 'success' : 'failed', data: extractedData });
-                    }
-                    break;
-                case 'wait':
-                    if (action.value === 'visible') {
-                        try {
-                            await page.waitForSelector(action.target, { visible: true, timeout: 10000 });
-                            results.push({ action, status: 'success' });
-                        } catch (error) {
-                            // Log DOM state for debugging
-                            const domState = await page.evaluate((target) => {
-                                const elements = document.querySelectorAll('input, button, div[role="presentation"] span');
-                                return Array.from(elements).map(el => ({
-                                    tag: el.tagName.toLowerCase(),
-                                    text: el.textContent.trim() || el.value,
-                                    name: el.getAttribute('name'),
-                                    ariaLabel: el.getAttribute('aria-label'),
-                                    role: el.getAttribute('role'),
-                                    outerHTML: el.outerHTML.slice(0, 100), // Truncate for brevity
-                                }));
-                            }, action.target);
-                            console.error(`Failed to find selector ${action.target}. DOM state:`, domState);
-                            throw error; // Re-throw to handle in the catch block below
-                        }
-                    } else {
-                        await delay(action.value || 1000);
-                        results.push({ action, status: 'success' });
-                    }
-                    break;
-                case 'navigate':
-                    await page.goto(action.target, { waitUntil: 'networkidle2' });
-                    results.push({ action, status: 'success' });
-                    break;
-                case 'screenshot':
-                    const screenshotPath = await takeScreenshot(page, action.value || 'action');
-                    screenshots.push({
-                        id: action.value || 'action',
-                        description: action.description,
-                        timestamp: new Date().toISOString(),
-                        path: screenshotPath
-                    });
-                    results.push({ action, status: 'success', data: screenshotPath });
-                    break;
-                default:
-                    results.push({ action, status: 'skipped', reason: 'Unknown action type' });
+            console.log(`Executing action: ${action.type} on ${describeTarget(action.target)}`);
+            locator = locatorOf(action);
+            context = tabs ? await tabs.resolve(action) : page;
+            locator = await withStableTarget(context, locator, action.target);
+            // The element a drag is dropped on is located like a target, and recorded as locator.drop
+            const drop = action.type === 'dragAndDrop'
+                ? await withStableTarget(context, locatorOf({ type: 'click', target: action.value }), action.value)
+                : null;
+            if (drop) {
+                locator = { ...locator, drop };
             }
-
+            // Refs and role targets run as the selector they stand for; the finding keeps the action as written
+            let resolved = locator ? { ...action, target: locator.selector } : action;
+            if (drop) {
+                resolved = { ...resolved, value: drop.selector };
+            }
+            result = { ...await performAction(context, resolved, screenshots, { runId, onProgress, tabs, dialogs }), action };
             await delay(500);
         } catch (error) {
             console.error(`executeActions error for ${action.type}:`, {
@@ -533,22 +955,392 @@ async function executeActions(page, actions, screenshots) {
                 stack: error.stack,
                 error: error
             });
-            results.push({ action, status: 'failed', error: error.message });
+            if (heal && isHealable(action, error)) {
+                result = await retryWithHealedSelector(context, action, error, screenshots, { heal, runId, onProgress });
+            } else {
+                result = { action, status: 'failed', error: error.message };
+            }
+        }
+        if (result.healed) {
+            locator = locatorOf({ ...action, target: result.healed.healedTarget });
+        }
+        if (locator) {
+            result = { ...result, locator };
+        }
+        if (dialogs && dialogs.count > dialogsBefore) {
+            result = { ...result, dialogs: dialogs.since(dialogsBefore) };
+        }
+
+        results.push(result);
+        completed?.push(result);
+        reportProgress(onProgress, 'action:finished', {
+            index,
+            action,
+            status: result.status,
+            error: result.error,
+            healed: result.healed,
+            durationMs: Date.now() - startedAt,
+        });
+
+        // Every page the run lands on gets its own performance snapshot
+        if (performance && result.status === 'success' && (['navigate', 'reload'].includes(action.type) || activePage().url() !== urlBefore)) {
+            await activePage().waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+            await recordPerformance(activePage(), performance, 'navigation', index);
         }
     }
 
     return results;
 }
 
+// A ref locator with the stable target its ref stands for (see stableTargetOf). A replayed plan may
+// reach a page no snapshot tagged yet, and the target is noted before the action changes the page,
+// so the run can be locked as a plan without refs.
+async function withStableTarget(context, locator, target) {
+    if (locator?.strategy !== 'ref') return locator;
+    await ensureRefs(context);
+    const stableTarget = await stableTargetOf(context, refOf(target)).catch(() => null);
+    return { ...locator, stableTarget };
+}
+
+// `page` is the page or frame the action runs in
+async function performAction(page, action, screenshots, { runId, onProgress, tabs, dialogs } = {}) {
+    switch (action.type) {
+        case 'click':
+            await page.waitForSelector(action.target, { timeout: 5000 });
+            await page.click(action.target);
+            return { action, status: 'success' };
+        case 'fill':
+        case 'type':
+            await page.waitForSelector(action.target, { timeout: 5000 });
+            // Secret placeholders are only resolved here, right before the value is typed
+            await page.type(action.target, resolveSecrets(action.value));
+            return { action, status: 'success' };
+        case 'select':
+            await page.waitForSelector(action.target, { timeout: 5000 });
+            await page.select(action.target, action.value);
+            return { action, status: 'success' };
+        case 'submit': {
+            // Element handles rather than document.querySelector, so pierce/, text/ and aria/ targets work too
+            const form = await page.waitForSelector(action.target, { timeout: 5000 });
+            await form.evaluate(element => element.submit());
+            await form.dispose();
+            return { action, status: 'success' };
+        }
+        case 'extract':
+            if (action.value === 'list') {
+                const elements = await page.$$(action.target);
+                const extractedData = await Promise.all(elements.map(element => element.evaluate(el => ({
+                    title: el.querySelector('h3')?.textContent.trim() || '',
+                    url: el.querySelector('a')?.href || '',
+                    snippet: el.querySelector('.VwiC3b, .IsZvec')?.textContent.trim() || ''
+                }))));
+                await Promise.all(elements.map(element => element.dispose()));
+                return { action, status: extractedData.length ? 'success' : 'failed', data: extractedData };
+            } else {
+                let extractedData = null;
+                if (action.target.includes('ip')) {
+                    extractedData = await pollForContent(page, action.target, 30000);
+                } else {
+                    extractedData = await textOf(page, action.target);
+                }
+                return { action, status: extractedData ? 'success' : 'failed', data: extractedData };
+            }
+        case 'wait':
+            if (action.value === 'visible') {
+                try {
+                    await page.waitForSelector(action.target, { visible: true, timeout: 10000 });
+                    return { action, status: 'success' };
+                } catch (error) {
+                    // Log DOM state for debugging
+                    const domState = await page.evaluate((target) => {
+                        const elements = document.querySelectorAll('input, button, div[role="presentation"] span');
+                        return Array.from(elements).map(el => ({
+                            tag: el.tagName.toLowerCase(),
+                            text: el.textContent.trim() || el.value,
+                            name: el.getAttribute('name'),
+                            ariaLabel: el.getAttribute('aria-label'),
+                            role: el.getAttribute('role'),
+                            outerHTML: el.outerHTML.slice(0, 100), // Truncate for brevity
+                        }));
+                    }, action.target);
+                    console.error(`Failed to find selector ${action.target}. DOM state:`, domState);
+                    throw error; // Re-throw so executeActions records the failure
+                }
+            } else {
+                await delay(action.value || 1000);
+                return { action, status: 'success' };
+            }
+        case 'navigate':
+            await page.goto(action.target, { waitUntil: 'networkidle2' });
+            reportProgress(onProgress, 'page:navigated', { url: page.url() });
+            return { action, status: 'success' };
+        case 'screenshot':
+            // Frames can't be captured on their own, so the screenshot shows their whole tab
+            const screenshotPath = await takeScreenshot(tabOf(page), action.value || 'action', runId);
+            addScreenshot(screenshots, {
+                id: action.value || 'action',
+                description: action.description,
+                timestamp: new Date().toISOString(),
+                path: screenshotPath
+            }, onProgress);
+            return { action, status: 'success', data: screenshotPath };
+        case 'hover':
+            await page.waitForSelector(action.target, { timeout: 5000 });
+            await page.hover(action.target);
+            return { action, status: 'success' };
+        case 'press':
+            if (action.target && action.target !== 'page') {
+                await page.waitForSelector(action.target, { timeout: 5000 });
+                await page.focus(action.target);
+            }
+            await pressKeys(tabOf(page).keyboard, String(action.value));
+            return { action, status: 'success' };
+        case 'scrollTo':
+            if (action.target && action.target !== 'page') {
+                return await scrollIntoView(page, action);
+            } else {
+                const scrollY = await page.evaluate(position => {
+                    const top = position === 'bottom' ? document.documentElement.scrollHeight : position === 'top' ? 0 : Number(position) || 0;
+                    window.scrollTo({ top, behavior: 'instant' });
+                    return window.scrollY;
+                }, action.value ?? 'top');
+                return { action, status: 'success', data: { scrollY } };
+            }
+        case 'scrollIntoView':
+            return await scrollIntoView(page, action);
+        case 'check':
+        case 'uncheck': {
+            const element = await page.waitForSelector(action.target, { timeout: 5000 });
+            const checked = action.type === 'check';
+            // Clicked like a user would, so the page's own handlers run; a click that doesn't flip the state fails
+            if (await element.evaluate(el => el.checked) !== checked) {
+                await element.click();
+            }
+            const actual = await element.evaluate(el => el.checked);
+            await element.dispose();
+            return actual === checked
+                ? { action, status: 'success', data: { checked: actual } }
+                : { action, status: 'failed', error: `${action.target} is still ${actual ? 'checked' : 'unchecked'}`, data: { checked: actual } };
+        }
+        case 'clear': {
+            const element = await page.waitForSelector(action.target, { timeout: 5000 });
+            // Selected and deleted with the keyboard, so frameworks see the change as input
+            await element.evaluate(el => {
+                el.focus();
+                if (typeof el.select === 'function') el.select();
+                else document.getSelection().selectAllChildren(el);
+            });
+            await tabOf(page).keyboard.press('Backspace');
+            const value = await element.evaluate(el => el.value ?? el.textContent);
+            await element.dispose();
+            return value
+                ? { action, status: 'failed', error: `${action.target} still has the value "${value}"` }
+                : { action, status: 'success' };
+        }
+        case 'uploadFile': {
+            const files = await fixtureFiles(action.value);
+            const input = await page.waitForSelector(action.target, { timeout: 5000 });
+            await input.uploadFile(...files.map(file => file.path));
+            await input.dispose();
+            return { action, status: 'success', data: files.map(file => file.name) };
+        }
+        case 'dragAndDrop': {
+            if (!action.value) {
+                throw new Error('dragAndDrop needs a "value" naming the element to drop on');
+            }
+            const source = await page.waitForSelector(action.target, { timeout: 5000 });
+            const destination = await page.waitForSelector(action.value, { timeout: 5000 });
+            await destination.drop(source);
+            await Promise.all([source.dispose(), destination.dispose()]);
+            return { action, status: 'success' };
+        }
+        case 'goBack': {
+            const response = await tabOf(page).goBack({ waitUntil: 'networkidle2' });
+            if (!response) {
+                return { action, status: 'failed', error: 'There is no page to go back to' };
+            }
+            reportProgress(onProgress, 'page:navigated', { url: tabOf(page).url() });
+            return { action, status: 'success', data: tabOf(page).url() };
+        }
+        case 'reload':
+            await tabOf(page).reload({ waitUntil: 'networkidle2' });
+            reportProgress(onProgress, 'page:navigated', { url: tabOf(page).url() });
+            return { action, status: 'success', data: tabOf(page).url() };
+        case 'clickAt':
+            // Coordinates are in the screenshot of the tab, whatever frame is active
+            return { action, status: 'success', data: await clickAt(tabOf(page), action) };
+        case 'handleDialog':
+            if (!dialogs) {
+                return { action, status: 'skipped', reason: 'Dialogs are not tracked here' };
+            }
+            if (![undefined, null, 'accept', 'dismiss'].includes(action.value)) {
+                throw new Error('handleDialog "value" must be accept or dismiss');
+            }
+            // Resolved like fill values, while the findings keep the placeholder
+            dialogs.arm({ accept: action.value !== 'dismiss', text: resolveSecrets(action.text ?? undefined), label: action.text ?? undefined });
+            return { action, status: 'success' };
+        case 'switchTab':
+        case 'waitForPopup':
+        case 'closeTab':
+        case 'switchFrame': {
+            if (!tabs) {
+                return { action, status: 'skipped', reason: 'Tabs are not tracked here' };
+            }
+            const location = await tabs[action.type](action);
+            reportProgress(onProgress, 'tab:switched', { action: action.type, ...location });
+            return { action, status: 'success', data: location };
+        }
+        case 'assertText':
+        case 'assertVisible':
+        case 'assertHidden':
+        case 'assertUrl':
+        case 'assertCount':
+        case 'assertAttribute':
+        case 'assertValue': {
+            // Assertions may compare against a secret; the finding keeps the placeholder
+            const result = await runAssertion(page, { ...action, value: resolveSecrets(action.value) });
+            return { ...result, action };
+        }
+        default:
+            return { action, status: 'skipped', reason: 'Unknown action type' };
+    }
+}
+
+// The tab of a page or frame; keyboard, history and screenshots belong to the tab
+function tabOf(context) {
+    return typeof context.mainFrame === 'function' ? context : context.page();
+}
+
+// Press a key or a combination such as "Control+Shift+K": modifiers are held while the last key is pressed
+async function pressKeys(keyboard, combination) {
+    const keys = combination.split('+').map(key => key.trim()).filter(Boolean);
+    const key = keys.pop();
+    if (!key) {
+        throw new Error(`"${combination}" is not a key`);
+    }
+    for (const modifier of keys) {
+        await keyboard.down(modifier);
+    }
+    try {
+        await keyboard.press(key);
+    } finally {
+        for (const modifier of keys.reverse()) {
+            await keyboard.up(modifier);
+        }
+    }
+}
+
+async function scrollIntoView(page, action) {
+    const element = await page.waitForSelector(action.target, { timeout: 5000 });
+    await element.scrollIntoView();
+    await element.dispose();
+    return { action, status: 'success' };
+}
+
+// Resolve uploadFile values to files in the fixtures directory; paths may not leave it
+async function fixtureFiles(value) {
+    const names = Array.isArray(value) ? value : [value];
+    if (!names.length || names.some(name => typeof name !== 'string' || !name)) {
+        throw new Error('uploadFile "value" must be a file name or an array of file names');
+    }
+    return Promise.all(names.map(async name => {
+        const path = resolve(fixturesDir, name);
+        if (!path.startsWith(fixturesDir + sep)) {
+            throw new Error(`Fixture "${name}" is outside the fixtures directory`);
+        }
+        try {
+            await access(path);
+        } catch {
+            throw new Error(`Fixture "${name}" not found in ${fixturesDir}`);
+        }
+        return { name, path };
+    }));
+}
+
+// Only selector lookups that timed out are worth healing; anything else is a real failure
+function isHealable(action, error) {
+    return error.name === 'TimeoutError'
+        && typeof action.target === 'string'
+        && action.target !== 'page'
+        && action.type !== 'navigate';
+}
+
+async function retryWithHealedSelector(page, action, error, screenshots, { heal, runId, onProgress }) {
+    let suggestion = null;
+    try {
+        suggestion = await heal(action, error);
+    } catch (healError) {
+        console.error('Selector healing failed:', healError.message);
+    }
+
+    if (!suggestion?.selector || suggestion.selector === action.target) {
+        return { action, status: 'failed', error: error.message };
+    }
+
+    console.log(`Retrying ${action.type} with healed selector ${suggestion.selector} (was ${action.target})`);
+    const healed = { originalTarget: action.target, healedTarget: suggestion.selector, reasoning: suggestion.reasoning || '' };
+    try {
+        const { selector } = locatorOf({ ...action, target: suggestion.selector });
+        const result = await performAction(page, { ...action, target: selector }, screenshots, { runId, onProgress });
+        await delay(500);
+        return { ...result, action, healed };
+    } catch (retryError) {
+        console.error(`Healed selector ${suggestion.selector} failed too:`, retryError.message);
+        return { action, status: 'failed', error: error.message, healAttempt: { ...healed, error: retryError.message } };
+    }
+}
+
+// Ask the model for a replacement selector for a locked-plan action that no longer matches
+async function healSelector(tabs, provider, action, error) {
+    const pageAnalysis = await analyzePage(tabs.context(), tabs);
+    const prompt = `
+        A recorded test step could not find its element. Find the element on the current page that the step was meant to act on and return a replacement selector.
+
+        Failed Step: ${JSON.stringify(action, null, 2)}
+
+        Error: "${error.message}"
+
+        Current Page Snapshot:
+${pageAnalysis.text}
+
+        Instructions:
+        - ${selectorGuide}
+        - Prefer ids, names and aria-labels over positional selectors.
+        - Don't return "ref=eN" targets: the selector is stored in the recorded test, and refs only hold for this page load.
+        - If no element on the page matches the intent of the step, return null for "selector".
+        - Return a JSON object with:
+          - "selector": The replacement selector, or null.
+          - "reasoning": Why this element matches the step.
+    `;
+
+    console.log(`Calling ${provider.label} to heal selector ${action.target}...`);
+    const suggestion = await provider.complete({
+        task: 'heal',
+        system: 'You are a web QA testing expert. Repair broken selectors in recorded automated tests.',
+        prompt,
+        maxTokens: 300,
+    });
+    console.log(`${provider.label} healing response:`, suggestion);
+    return suggestion;
+}
+
+// Trimmed text of the first element matching `selector`, or null
+async function textOf(page, selector) {
+    const element = await page.$(selector);
+    if (!element) return null;
+    try {
+        return await element.evaluate(el => el.textContent.trim());
+    } finally {
+        await element.dispose();
+    }
+}
+
 async function pollForContent(page, selector, timeout = 30000) {
     const startTime = Date.now();
     console.log(`Polling for content on ${selector}...`);
     
     while (Date.now() - startTime < timeout) {
-        const content = await page.evaluate(sel => {
-            const element = document.querySelector(sel);
-            return element ? element.textContent.trim() : null;
-        }, selector);
+        const content = await textOf(page, selector);
 
         if (content && !content.includes('Detecting...') && content !== '') {
             console.log(`Content found: ${content}`);
@@ -563,98 +1355,46 @@ async function pollForContent(page, selector, timeout = 30000) {
     return null;
 }
 
-async function verifyOutcome(page, expectedOutcome, instructions, actionResults) {
+// In vision mode the model judges the outcome from a screenshot of the viewport as well
+async function verifyOutcome(page, provider, expectedOutcome, instructions, actionResults, { vision = false } = {}) {
     try {
         console.log('Verifying test outcome...');
         const pageContent = await page.evaluate(() => document.body.textContent.toLowerCase());
-        const successIndicators = ['welcome', 'success', 'account created', 'signed up', 'thank you', 'ip address'];
-        const errorIndicators = ['error', 'failed', 'invalid', 'try again'];
-
-        let success = false;
-        let message = 'Test completed';
-
         const extractResults = actionResults.filter(result => result.action.type === 'extract');
-        const screenshotResults = actionResults.filter(result => result.action.type === 'screenshot');
+        const context = { instructions, expectedOutcome, actionResults, extractResults, pageContent, pageTitle: await page.title() };
 
-        const ipRegex = {
-            ipv4: /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/,
-            ipv6: /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/
-        };
+        const verifier = await findVerifier(context);
+        if (verifier) {
+            console.log(`Verifying with the "${verifier.name}" verifier...`);
+            const { success, message } = await verifier.verify(context);
+            return { success: Boolean(success), message, verifiedBy: verifier.name };
+        }
 
-        if (instructions.toLowerCase().includes('ip address')) {
-            const ipData = extractResults.find(r => r.data && (r.action.target.includes('ipv4') || r.action.target.includes('ip')));
-            if (ipData && ipData.data) {
-                const ipText = ipData.data.replace(/My Public IPv[4|6]:/, '').trim();
-                if (ipRegex.ipv4.test(ipText) || ipRegex.ipv6.test(ipText)) {
-                    success = true;
-                    message = `Test successful: IP address ${ipText} extracted`;
-                } else {
-                    success = false;
-                    message = `Test failed: Extracted data '${ipText}' is not a valid IP address`;
-                }
-            } else {
-                success = false;
-                message = 'Test failed: No valid IP address extracted';
-            }
-        } else if (instructions.toLowerCase().includes('search')) {
-            const searchData = extractResults.find(r => r.action.value === 'list');
-            if (searchData && searchData.data && searchData.data.length > 0) {
-                success = true;
-                message = `Test successful: ${searchData.data.length} search results extracted`;
-            } else {
-                success = false;
-                message = 'Test failed: No search results extracted';
-            }
-        } else if (instructions.toLowerCase().includes('screenshot')) {
-            if (screenshotResults.length > 0) {
-                success = true;
-                message = `Test successful: ${screenshotResults.length} screenshots captured`;
-            } else {
-                success = false;
-                message = 'Test failed: No screenshots captured';
-            }
-        } else if (extractResults.length > 0 && extractResults.every(r => r.status === 'success' && r.data)) {
-            success = true;
-            message = 'Test successful: All extractions completed';
-        } else if (successIndicators.some(indicator => pageContent.includes(indicator))) {
-            success = true;
-            message = 'Test successful: Expected outcome achieved (based on page content)';
-        } else if (errorIndicators.some(indicator => pageContent.includes(indicator))) {
-            success = false;
-            message = 'Test failed: Error detected on page';
-        } else {
-            const prompt = `
-                Verify if the test outcome matches the expected result.
-                Instructions: "${instructions}"
-                Expected Outcome: "${expectedOutcome}"
-                Current Page Title: "${await page.title()}"
-                Extracted Data: ${JSON.stringify(extractResults.map(r => r.data))}
-                Page Content Sample: "${pageContent.slice(0, 500)}..."
-                
-                Return a JSON object with:
-                - "success": Boolean indicating if the test succeeded
-                - "message": Explanation of the verification result
-            `;
-
-            console.log('Calling OpenAI API for outcome verification...');
-            const response = await openAI.post('/chat/completions', {
-                model: 'gpt-4o',
-                messages: [
-                    { role: 'system', content: 'You are a web QA testing expert. Verify test outcomes based on page content and extracted data.' },
-                    { role: 'user', content: prompt },
-                ],
-                temperature: 0.3,
-                response_format: { type: 'json_object' },
-                max_tokens: 500,
-            });
+        const prompt = `
+            Verify if the test outcome matches the expected result.
+            Instructions: "${instructions}"
+            Expected Outcome: "${expectedOutcome}"
+            Current Page Title: "${context.pageTitle}"
+            Extracted Data: ${JSON.stringify(extractResults.map(r => r.data))}
+            Page Content Sample: "${pageContent.slice(0, 500)}..."
+            ${vision ? 'A screenshot of the page as it looks now is attached; check it shows the expected outcome.' : ''}
 
-            const verification = JSON.parse(response.data.choices[0].message.content);
-            console.log('OpenAI verification response:', verification);
-            success = verification.success;
-            message = verification.message;
-        }
+            Return a JSON object with:
+            - "success": Boolean indicating if the test succeeded
+            - "message": Explanation of the verification result
+        `;
 
-        return { success, message };
+        console.log(`No verifier applies, calling ${provider.label} for outcome verification...`);
+        const images = vision ? [await captureForModel(page)] : [];
+        const verification = await provider.complete({
+            task: 'verify',
+            system: 'You are a web QA testing expert. Verify test outcomes based on page content and extracted data.',
+            prompt,
+            images,
+            maxTokens: 500,
+        });
+        console.log(`${provider.label} verification response:`, verification);
+        return { success: verification.success, message: verification.message, verifiedBy: 'llm' };
     } catch (error) {
         console.error('verifyOutcome error:', {
             message: error.message,
@@ -669,17 +1409,19 @@ async function verifyOutcome(page, expectedOutcome, instructions, actionResults)
     }
 }
 
-async function takeScreenshot(page, name) {
+// Screenshots of server runs go into a folder per run so they can be removed together with the run
+async function takeScreenshot(page, name, runId) {
     try {
         console.log(`Taking screenshot: ${name}`);
         const timestamp = Date.now();
         const filename = `screenshot_${name}_${timestamp}.png`;
-        const filepath = join(process.cwd(), 'public', 'screenshots', filename);
+        const folder = runId ? ['screenshots', runId] : ['screenshots'];
+        const filepath = join(process.cwd(), 'public', ...folder, filename);
 
-        await mkdir(join(process.cwd(), 'public', 'screenshots'), { recursive: true });
+        await mkdir(join(process.cwd(), 'public', ...folder), { recursive: true });
         await page.screenshot({ path: filepath, fullPage: true });
 
-        return `/screenshots/${filename}`;
+        return `/${folder.join('/')}/${filename}`;
     } catch (error) {
         console.error('takeScreenshot error:', {
             message: error.message,
@@ -691,7 +1433,38 @@ async function takeScreenshot(page, name) {
     }
 }
 
+// Turn a locked plan (an action array or { actions, expectedOutcome, interpretation }) into an AI analysis
+function lockedPlanAnalysis(plan) {
+    const lockedPlan = Array.isArray(plan) ? { actions: plan } : plan;
+    return {
+        mode: 'replay',
+        interpretation: lockedPlan.interpretation || 'Replay of a locked action plan',
+        actions: lockedPlan.actions || [],
+        expectedOutcome: lockedPlan.expectedOutcome || 'All recorded actions succeed',
+    };
+}
+
+// A replayed plan without assertions passes when every recorded step succeeded
+function verifyReplay(actionResults) {
+    const failed = actionResults.filter(result => result.status !== 'success');
+    if (failed.length) {
+        return {
+            success: false,
+            message: `Test failed: ${failed.length} of ${actionResults.length} recorded steps failed. ${failed.map(result => `${result.action.type}: ${result.error || result.reason}`).join('; ')}`,
+        };
+    }
+    return { success: true, message: `Test successful: all ${actionResults.length} recorded steps succeeded` };
+}
+
+// Selectors that were replaced during replay, by index into the plan, ready to be accepted
+function collectHealedSelectors(actionResults) {
+    return actionResults
+        .map((result, index) => result.healed && { index, type: result.action.type, description: result.action.description, ...result.healed })
+        .filter(Boolean);
+}
+
 function calculateSuccessRate(results) {
+    if (!results.length) return '0%';
     const successful = results.filter(r => r.status === 'success').length;
     return `${Math.round((successful / results.length) * 100)}%`;
 }
\ No newline at end of file
@@ -3,17 +3,47 @@ import cors from 'cors';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { runQATest } from './ai.js';
+import { hasProvider, listProviders } from './providers.js';
+import { listVerifiers, loadVerifierModules } from './verifiers.js';
+import {
+    listAuthProfiles, getAuthProfile, saveAuthProfile, deleteAuthProfile,
+    clearLoginState, validateAuthProfile, maskProfile
+} from './auth.js';
+import {
+    builtInDeviceNames, listDeviceProfiles, saveDeviceProfile, deleteDeviceProfile, validateDeviceProfile, findUnknownDevice
+} from './devices.js';
+import { approveBaselines, listBaselines, deleteBaseline } from './visual.js';
+import { installLogRedaction, loadSecrets, listSecrets, setSecret, deleteSecret, isValidSecretName } from './secrets.js';
+import { reportFormats, buildReport, renderReport } from './reports.js';
+import { hasChannel, publishEvent, finishChannel, subscribe } from './events.js';
+import { createBrowserPool } from './browserPool.js';
+import { createJobQueue } from './queue.js';
+import { initResultsStore, saveResult, getResult, listResults, deleteResult, isActiveResult } from './results.js';
+import {
+    listSuites, getSuite, createSuite, updateSuite, deleteSuite,
+    getTest, addTest, updateTest, deleteTest, runSuite,
+    validateSuite, validateTest, validatePlan, validateOptions,
+    buildPlanFromResult, acceptHealedSelectors
+} from './suites.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // Resolve __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = join(__filename, '..');
 
+// Keep secret values out of the server logs
+installLogRedaction();
+
 // Initialize Express app
 const app = express();
 
-// Store results by ID
-const resultsStore = new Map();
+// Runs wait in a queue and share a pool of warm browsers, one per concurrent run
+const concurrency = Math.max(1, Number(process.env.QA_CONCURRENCY) || 2);
+const browserPool = createBrowserPool({ size: concurrency });
+const jobQueue = createJobQueue({ concurrency });
+
+// Queued and running analyses and suite runs by ID: { controller, done }, so they can be cancelled
+const activeRuns = new Map();
 
 // Log requests for debugging
 app.use((req, res, next) => {
@@ -24,7 +54,7 @@ app.use((req, res, next) => {
 // Middleware
 app.use(cors({
     origin: "http://localhost:3003",
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "PUT", "DELETE"],
 }));
 app.use(express.json());
 
@@ -46,38 +76,112 @@ app.get(['/', '/index.html'], (req, res) => {
     });
 });
 
+// Result writes of background runs are logged rather than left as unhandled rejections
+const logStoreError = (id) => (error) => console.error('Failed to store result:', { id, message: error.message });
+
+// Track a run so it can be cancelled until `done` settles
+function trackRun(id, controller, done) {
+    activeRuns.set(id, { controller, done });
+    done.finally(() => activeRuns.delete(id)).catch(() => {});
+    return done;
+}
+
+// Abort a queued or running run; resolves with its final result, or null if it isn't active
+async function cancelRun(id) {
+    const run = activeRuns.get(id);
+    if (!run) return null;
+    console.log('Cancelling run:', id);
+    run.controller.abort();
+    jobQueue.remove(id);
+    return run.done;
+}
+
+// Queue a QA test and persist its status as it moves from queued to running to done;
+// resolves with the stored result. Aborting `parentSignal` (a suite run) cancels it too.
+async function executeRun(analysisId, url, instructions, options, parentSignal) {
+    const controller = new AbortController();
+    parentSignal?.addEventListener('abort', () => controller.abort(), { once: true });
+    await saveResult(analysisId, { status: 'queued', message: 'Waiting for a free browser', url, instructions });
+
+    const run = jobQueue.enqueue(analysisId, () => performRun(analysisId, url, instructions, { ...options, signal: controller.signal }))
+        .catch(async error => {
+            if (!controller.signal.aborted) throw error;
+            // Removed from the queue before it started
+            const result = { url, instructions, status: 'cancelled', message: 'Run cancelled before it started' };
+            await saveResult(analysisId, result);
+            finishChannel(analysisId, { type: 'run:finished', status: result.status, message: result.message });
+            return result;
+        });
+    const position = jobQueue.position(analysisId);
+    if (position) {
+        publishEvent(analysisId, { type: 'run:queued', position });
+    }
+    return trackRun(analysisId, controller, run);
+}
+
+async function performRun(analysisId, url, instructions, options) {
+    await saveResult(analysisId, { status: 'running', message: 'Analysis started', url, instructions });
+    publishEvent(analysisId, { type: 'run:started', url, instructions });
+
+    let result;
+    try {
+        result = await runQATest(url, instructions, {
+            ...options,
+            runId: analysisId,
+            browserPool,
+            onProgress: event => publishEvent(analysisId, event),
+        });
+        console.log('Analyze-workflow result:', { analysisId, result });
+    } catch (error) {
+        console.error('Analyze-workflow error:', {
+            analysisId,
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+            error: error
+        });
+        result = {
+            url,
+            instructions,
+            status: 'error',
+            message: error.message || 'Internal server error',
+            error: error.message,
+            stack: error.stack
+        };
+    }
+
+    await saveResult(analysisId, result);
+    finishChannel(analysisId, { type: 'run:finished', status: result.status, message: result.message });
+    return result;
+}
+
 // API endpoint to start analysis
 app.post('/api/analyze-workflow', async (req, res) => {
     const { url, instructions, options } = req.body;
     const analysisId = uuidv4();
 
+    if (options?.provider && !hasProvider(options.provider)) {
+        return res.status(400).json({ error: `Unknown LLM provider "${options.provider}"`, providers: listProviders() });
+    }
+    if (await findUnknownAuthProfile([options])) {
+        return res.status(400).json({ error: `Unknown auth profile "${options.auth}"` });
+    }
+    const optionsError = options !== undefined && validateOptions(options);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+    const unknownDevice = await findUnknownDevice([options]);
+    if (unknownDevice) {
+        return res.status(400).json({ error: `Unknown device "${unknownDevice}"` });
+    }
+
     try {
         console.log('Received analyze-workflow request:', { analysisId, url, instructions, options });
-        resultsStore.set(analysisId, { status: 'running', message: 'Analysis started' });
 
         // Run analysis in background
-        runQATest(url, instructions, options)
-            .then(result => {
-                console.log('Analyze-workflow result:', { analysisId, result });
-                resultsStore.set(analysisId, result);
-            })
-            .catch(error => {
-                console.error('Analyze-workflow error:', {
-                    analysisId,
-                    message: error.message,
-                    name: error.name,
-                    stack: error.stack,
-                    error: error
-                });
-                resultsStore.set(analysisId, {
-                    status: 'error',
-                    message: error.message || 'Internal server error',
-                    error: error.message,
-                    stack: error.stack
-                });
-            });
-
-        res.json({ analysisId, status: 'running', message: 'Analysis started' });
+        executeRun(analysisId, url, instructions, options).catch(logStoreError(analysisId));
+
+        res.json({ analysisId, status: 'queued', message: 'Analysis queued' });
     } catch (error) {
         console.error('Analyze-workflow immediate error:', {
             analysisId,
@@ -86,12 +190,14 @@ app.post('/api/analyze-workflow', async (req, res) => {
             stack: error.stack,
             error: error
         });
-        resultsStore.set(analysisId, {
+        saveResult(analysisId, {
+            url,
+            instructions,
             status: 'error',
             message: error.message || 'Internal server error',
             error: error.message,
             stack: error.stack
-        });
+        }).catch(logStoreError(analysisId));
         res.status(500).json({
             analysisId,
             error: 'QA test failed',
@@ -101,20 +207,555 @@ app.post('/api/analyze-workflow', async (req, res) => {
     }
 });
 
-// API endpoint to get results by ID
-app.get('/api/results/:id', (req, res) => {
+// API endpoint to list the available LLM providers
+app.get('/api/providers', (req, res) => {
+    res.json({ providers: listProviders(), default: process.env.LLM_PROVIDER || 'openai' });
+});
+
+// API endpoint to list outcome verifiers in the order they are tried
+app.get('/api/verifiers', (req, res) => {
+    res.json({ verifiers: listVerifiers() });
+});
+
+// API endpoints to manage custom device profiles. Built-in devices (desktop, mobile, tablet and
+// Puppeteer's known devices) are listed by name and can be extended but not changed.
+app.get('/api/devices', async (req, res) => {
+    res.json({ builtIn: builtInDeviceNames(), custom: await listDeviceProfiles() });
+});
+
+app.put('/api/devices/:name', async (req, res) => {
+    const error = validateDeviceProfile(req.body);
+    if (error) {
+        return res.status(400).json({ error, name: req.params.name });
+    }
+    if (req.body.extends && await findUnknownDevice([{ device: req.body.extends }])) {
+        return res.status(400).json({ error: `Unknown device "${req.body.extends}"`, name: req.params.name });
+    }
+    res.json(await saveDeviceProfile(req.params.name, req.body));
+});
+
+app.delete('/api/devices/:name', async (req, res) => {
+    if (!await deleteDeviceProfile(req.params.name)) {
+        return res.status(404).json({ error: 'Device profile not found', name: req.params.name });
+    }
+    res.status(204).end();
+});
+
+// API endpoints to manage auth profiles, referenced by name from options.auth.
+// Profiles are returned masked (see maskProfile): without their login state and credential values.
+
+app.get('/api/auth-profiles', async (req, res) => {
+    res.json(await listAuthProfiles());
+});
+
+app.get('/api/auth-profiles/:name', async (req, res) => {
+    const profile = await getAuthProfile(req.params.name);
+    if (!profile) {
+        return res.status(404).json({ error: 'Auth profile not found', name: req.params.name });
+    }
+    res.json(maskProfile(profile));
+});
+
+app.put('/api/auth-profiles/:name', async (req, res) => {
+    const error = validateAuthProfile(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(maskProfile(await saveAuthProfile(req.params.name, req.body)));
+});
+
+app.delete('/api/auth-profiles/:name', async (req, res) => {
+    if (!await deleteAuthProfile(req.params.name)) {
+        return res.status(404).json({ error: 'Auth profile not found', name: req.params.name });
+    }
+    res.status(204).end();
+});
+
+// Drop the cached login state so the next run using the profile logs in again
+app.delete('/api/auth-profiles/:name/session', async (req, res) => {
+    if (!await clearLoginState(req.params.name)) {
+        return res.status(404).json({ error: 'Auth profile not found', name: req.params.name });
+    }
+    res.status(204).end();
+});
+
+// API endpoints to manage secrets used through {{secret:NAME}} placeholders. Values can be set
+// and deleted but are never returned.
+app.get('/api/secrets', async (req, res) => {
+    res.json(await listSecrets());
+});
+
+app.put('/api/secrets/:name', async (req, res) => {
+    const { name } = req.params;
+    if (!isValidSecretName(name)) {
+        return res.status(400).json({ error: 'Secret names may only contain letters, digits and underscores', name });
+    }
+    if (typeof req.body?.value !== 'string' || !req.body.value) {
+        return res.status(400).json({ error: 'Secret "value" must be a non-empty string', name });
+    }
+    await setSecret(name, req.body.value);
+    res.status(204).end();
+});
+
+app.delete('/api/secrets/:name', async (req, res) => {
+    if (!await deleteSecret(req.params.name)) {
+        return res.status(404).json({ error: 'Secret not found', name: req.params.name });
+    }
+    res.status(204).end();
+});
+
+// Returns the name of the first auth profile referenced by `options` objects that doesn't exist, or null
+async function findUnknownAuthProfile(optionsList) {
+    for (const name of optionsList.map(options => options?.auth).filter(Boolean)) {
+        if (!await getAuthProfile(name)) return name;
+    }
+    return null;
+}
+
+// API endpoints to manage saved test suites
+app.get('/api/suites', async (req, res) => {
+    res.json(await listSuites());
+});
+
+app.post('/api/suites', async (req, res) => {
+    const error = validateSuite(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(await createSuite(req.body));
+});
+
+app.get('/api/suites/:id', async (req, res) => {
+    const suite = await getSuite(req.params.id);
+    if (!suite) {
+        return res.status(404).json({ error: 'Suite not found for ID', suiteId: req.params.id });
+    }
+    res.json(suite);
+});
+
+app.put('/api/suites/:id', async (req, res) => {
+    const error = validateSuite(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const suite = await updateSuite(req.params.id, req.body);
+    if (!suite) {
+        return res.status(404).json({ error: 'Suite not found for ID', suiteId: req.params.id });
+    }
+    res.json(suite);
+});
+
+app.delete('/api/suites/:id', async (req, res) => {
+    if (!await deleteSuite(req.params.id)) {
+        return res.status(404).json({ error: 'Suite not found for ID', suiteId: req.params.id });
+    }
+    res.status(204).end();
+});
+
+app.get('/api/suites/:id/tests', async (req, res) => {
+    const suite = await getSuite(req.params.id);
+    if (!suite) {
+        return res.status(404).json({ error: 'Suite not found for ID', suiteId: req.params.id });
+    }
+    res.json(suite.tests);
+});
+
+app.post('/api/suites/:id/tests', async (req, res) => {
+    const error = validateTest(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const test = await addTest(req.params.id, req.body);
+    if (!test) {
+        return res.status(404).json({ error: 'Suite not found for ID', suiteId: req.params.id });
+    }
+    res.status(201).json(test);
+});
+
+app.get('/api/suites/:id/tests/:testId', async (req, res) => {
+    const test = await getTest(req.params.id, req.params.testId);
+    if (!test) {
+        return res.status(404).json({ error: 'Test not found in suite', suiteId: req.params.id, testId: req.params.testId });
+    }
+    res.json(test);
+});
+
+app.put('/api/suites/:id/tests/:testId', async (req, res) => {
+    const error = validateTest(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const test = await updateTest(req.params.id, req.params.testId, req.body);
+    if (!test) {
+        return res.status(404).json({ error: 'Test not found in suite', suiteId: req.params.id, testId: req.params.testId });
+    }
+    res.json(test);
+});
+
+app.delete('/api/suites/:id/tests/:testId', async (req, res) => {
+    if (!await deleteTest(req.params.id, req.params.testId)) {
+        return res.status(404).json({ error: 'Test not found in suite', suiteId: req.params.id, testId: req.params.testId });
+    }
+    res.status(204).end();
+});
+
+// API endpoint to lock a test's action plan, either from a passing run ({ analysisId })
+// or from explicit actions ({ actions, expectedOutcome?, interpretation? })
+app.post('/api/suites/:id/tests/:testId/plan', async (req, res) => {
+    const { analysisId, actions, expectedOutcome, interpretation } = req.body || {};
+    let plan;
+
+    if (analysisId) {
+        const result = await getResult(analysisId);
+        if (!result) {
+            return res.status(404).json({ error: 'Results not found for ID', analysisId });
+        }
+        try {
+            plan = buildPlanFromResult(result, analysisId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message, analysisId });
+        }
+    } else {
+        plan = { interpretation, actions, expectedOutcome, lockedAt: new Date().toISOString(), sourceAnalysisId: null };
+        const error = validatePlan(plan);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+    }
+
+    const test = await updateTest(req.params.id, req.params.testId, { plan });
+    if (!test) {
+        return res.status(404).json({ error: 'Test not found in suite', suiteId: req.params.id, testId: req.params.testId });
+    }
+    res.json(test);
+});
+
+app.delete('/api/suites/:id/tests/:testId/plan', async (req, res) => {
+    const test = await updateTest(req.params.id, req.params.testId, { plan: null });
+    if (!test) {
+        return res.status(404).json({ error: 'Test not found in suite', suiteId: req.params.id, testId: req.params.testId });
+    }
+    res.json(test);
+});
+
+// API endpoint to accept the selectors healed during a replay ({ analysisId }) into the locked plan
+app.post('/api/suites/:id/tests/:testId/plan/heal', async (req, res) => {
+    const { analysisId } = req.body || {};
+    const result = await getResult(analysisId);
+    if (!result?.analysis) {
+        return res.status(404).json({ error: 'Results not found for ID', analysisId });
+    }
+
+    const healedSelectors = result.analysis.taskExecution.healedSelectors || [];
+    const outcome = await acceptHealedSelectors(req.params.id, req.params.testId, healedSelectors);
+    if (!outcome) {
+        return res.status(404).json({ error: 'Test not found in suite', suiteId: req.params.id, testId: req.params.testId });
+    }
+    res.json(outcome);
+});
+
+// API endpoint to run every test of a suite. Responds right away with a run ID that can be
+// polled through /api/results/:id, or with the aggregate result when called with ?wait=true.
+// `options` in the body is merged over each test's own options (e.g. to force a provider).
+// Tests with a locked plan replay it; `lockPlans: true` locks the plan of every passing test that has none.
+app.post('/api/suites/:id/run', async (req, res) => {
+    const suite = await getSuite(req.params.id);
+    if (!suite) {
+        return res.status(404).json({ error: 'Suite not found for ID', suiteId: req.params.id });
+    }
+
+    const overrides = req.body?.options || {};
+    const lockPlans = req.body?.lockPlans === true;
+    const providers = [overrides, ...suite.tests.map(test => test.options)].map(o => o?.provider).filter(Boolean);
+    const unknownProvider = providers.find(name => !hasProvider(name));
+    if (unknownProvider) {
+        return res.status(400).json({ error: `Unknown LLM provider "${unknownProvider}"`, providers: listProviders() });
+    }
+    const unknownAuth = await findUnknownAuthProfile([overrides, ...suite.tests.map(test => test.options)]);
+    if (unknownAuth) {
+        return res.status(400).json({ error: `Unknown auth profile "${unknownAuth}"` });
+    }
+    const optionsError = validateOptions(overrides);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+    const unknownDevice = await findUnknownDevice([overrides, ...suite.tests.map(test => test.options)]);
+    if (unknownDevice) {
+        return res.status(400).json({ error: `Unknown device "${unknownDevice}"` });
+    }
+
+    const runId = uuidv4();
+    console.log('Received suite run request:', { runId, suiteId: suite.id, tests: suite.tests.length });
+    await saveResult(runId, { status: 'running', message: 'Suite run started', suiteId: suite.id, suiteName: suite.name });
+
+    const controller = new AbortController();
+    const run = runSuite(suite, {
+        signal: controller.signal,
+        runTest: async (test) => {
+            const analysisId = uuidv4();
+            publishEvent(runId, { type: 'test:started', testId: test.id, name: test.name, analysisId });
+            const options = { ...test.options, ...(test.plan ? { plan: test.plan } : {}), ...overrides };
+            // Each suite test keeps its own baseline screenshots
+            if (options.visual && !options.visual.baseline) {
+                options.visual = { ...(options.visual === true ? {} : options.visual), baseline: `${suite.id}_${test.id}` };
+            }
+            const result = await executeRun(analysisId, test.url, test.instructions, options, controller.signal);
+            if (lockPlans && !test.plan && result.status === 'success' && !result.matrix) {
+                let plan = null;
+                try {
+                    plan = buildPlanFromResult(result, analysisId);
+                } catch (error) {
+                    // The test passed; it just stays unlocked and is planned again next time
+                    console.error(`Could not lock the plan of test ${test.id}:`, error.message);
+                }
+                if (plan) await updateTest(suite.id, test.id, { plan });
+            }
+            publishEvent(runId, { type: 'test:finished', testId: test.id, name: test.name, analysisId, status: result.status, message: result.message });
+            return { analysisId, result };
+        },
+        onProgress: (progress) => saveResult(runId, { ...progress, tests: [...progress.tests] }).catch(logStoreError(runId)),
+    }).then(async result => {
+        await saveResult(runId, result);
+        finishChannel(runId, { type: 'run:finished', status: result.status, message: result.message });
+        return result;
+    }).catch(error => {
+        console.error('Suite run error:', {
+            runId,
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+            error: error
+        });
+        const result = { status: 'error', message: error.message || 'Internal server error', error: error.message, suiteId: suite.id };
+        saveResult(runId, result).catch(logStoreError(runId));
+        finishChannel(runId, { type: 'run:finished', status: result.status, message: result.message });
+        return result;
+    });
+    trackRun(runId, controller, run);
+
+    if (req.query.wait === 'true') {
+        return res.json({ runId, ...await run });
+    }
+    res.json({ runId, status: 'running', message: 'Suite run started' });
+});
+
+// API endpoint to list stored results, newest first.
+// Query: page, pageSize (max 100), url (substring), status, type (analysis|suite), from, to (ISO dates)
+app.get('/api/results', (req, res) => {
+    const { url, status, type, from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({ error: `Invalid "${name}" date: ${value}` });
+        }
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+    res.json(listResults({ page, pageSize, url, status, type, from, to }));
+});
+
+// API endpoint to get results by ID; queued runs include their current queue position
+app.get('/api/results/:id', async (req, res) => {
     const analysisId = req.params.id;
-    const result = resultsStore.get(analysisId);
+    const result = await getResult(analysisId);
 
     if (!result) {
         return res.status(404).json({ error: 'Results not found for ID', analysisId });
     }
 
+    if (result.status === 'queued') {
+        return res.json({ ...result, queuePosition: jobQueue.position(analysisId) });
+    }
     res.json(result);
 });
 
+// API endpoint to download an artifact of a run, such as its HAR network log
+app.get('/api/results/:id/artifacts/:name', async (req, res) => {
+    const { id: analysisId, name } = req.params;
+    const result = await getResult(analysisId);
+    const artifact = result?.artifacts?.find(candidate => candidate.name === name);
+    if (!artifact) {
+        return res.status(404).json({ error: 'Artifact not found', analysisId, name });
+    }
+    res.download(artifact.path, `${analysisId}-${name}`, error => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Artifact file is no longer available', analysisId, name });
+        }
+    });
+});
+
+// API endpoint to inspect the run queue and the browser pool
+app.get('/api/queue', (req, res) => {
+    res.json({ ...jobQueue.stats(), browserPool: browserPool.stats() });
+});
+
+// API endpoint streaming the events of a run as Server-Sent Events. Past events are replayed
+// first (after Last-Event-ID when reconnecting); the stream ends with a run:finished event.
+app.get('/api/results/:id/events', async (req, res) => {
+    const analysisId = req.params.id;
+
+    if (!hasChannel(analysisId)) {
+        const result = await getResult(analysisId);
+        if (!result) {
+            return res.status(404).json({ error: 'Results not found for ID', analysisId });
+        }
+        // Finished before this server started tracking it: only the outcome is known
+        if (!isActiveResult(analysisId)) {
+            finishChannel(analysisId, { type: 'run:finished', status: result.status, message: result.message });
+        }
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const unsubscribe = subscribe(analysisId, (event) => {
+        if (!event) {
+            clearInterval(heartbeat);
+            return res.end();
+        }
+        res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }, Number(req.get('Last-Event-ID')) || 0);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// API endpoint to export a finished result as a report (?format=junit|html|markdown, default html).
+// Suite runs include every test of the run; ?download=true serves the report as an attachment.
+app.get('/api/results/:id/report', async (req, res) => {
+    const analysisId = req.params.id;
+    const format = req.query.format || 'html';
+
+    if (!reportFormats[format]) {
+        return res.status(400).json({ error: `Unknown report format "${format}"`, formats: Object.keys(reportFormats) });
+    }
+
+    const result = await getResult(analysisId);
+    if (!result) {
+        return res.status(404).json({ error: 'Results not found for ID', analysisId });
+    }
+    if (isActiveResult(analysisId)) {
+        return res.status(409).json({ error: 'Run is still in progress', analysisId });
+    }
+
+    try {
+        const report = await buildReport(analysisId, result, getResult);
+        const { contentType, extension } = reportFormats[format];
+        res.type(contentType);
+        if (req.query.download === 'true') {
+            res.attachment(`qa-report-${analysisId}.${extension}`);
+        }
+        res.send(await renderReport(report, format));
+    } catch (error) {
+        console.error('Report error:', {
+            analysisId,
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+            error: error
+        });
+        res.status(500).json({ error: 'Failed to render report', message: error.message, analysisId });
+    }
+});
+
+// API endpoint to cancel a queued or running run, or to delete a finished result and its screenshots
+app.delete('/api/results/:id', async (req, res) => {
+    const analysisId = req.params.id;
+
+    // A queued or running run is cancelled rather than deleted; its partial result is kept
+    const cancelled = await cancelRun(analysisId);
+    if (cancelled) {
+        return res.json({ analysisId, ...cancelled });
+    }
+    if (isActiveResult(analysisId)) {
+        return res.status(409).json({ error: 'Run is still in progress', analysisId });
+    }
+    if (!await deleteResult(analysisId)) {
+        return res.status(404).json({ error: 'Results not found for ID', analysisId });
+    }
+
+    res.status(204).end();
+});
+
+// API endpoint to approve the screenshots of a run as the new visual baseline. Approves every
+// screenshot that changed, or the ids listed in { screenshots: [...] }.
+app.post('/api/results/:id/baseline', async (req, res) => {
+    const analysisId = req.params.id;
+    const result = await getResult(analysisId);
+    if (!result) {
+        return res.status(404).json({ error: 'Results not found for ID', analysisId });
+    }
+    if (isActiveResult(analysisId)) {
+        return res.status(409).json({ error: 'Run is still in progress', analysisId });
+    }
+    // A matrix run has a visual comparison per combination
+    const visuals = (result.matrix ? result.matrix.map(run => run.result) : [result])
+        .map(run => run?.analysis?.visual)
+        .filter(Boolean);
+    if (!visuals.length) {
+        return res.status(400).json({ error: 'Run has no visual comparison', analysisId });
+    }
+    const ids = req.body?.screenshots;
+    if (ids !== undefined && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+        return res.status(400).json({ error: '"screenshots" must be an array of screenshot ids', analysisId });
+    }
+
+    try {
+        const baselines = [];
+        for (const visual of visuals) {
+            baselines.push({ baseline: visual.baseline, approved: await approveBaselines(visual, ids) });
+        }
+        await saveResult(analysisId, result);
+        res.json({ analysisId, baselines });
+    } catch (error) {
+        console.error('Approve baseline error:', {
+            analysisId,
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+            error: error
+        });
+        res.status(500).json({ error: 'Failed to approve baseline', message: error.message, analysisId });
+    }
+});
+
+// API endpoints to list and drop stored baselines; a dropped baseline is recorded again by the next run
+app.get('/api/baselines', async (req, res) => {
+    res.json(await listBaselines());
+});
+
+app.delete('/api/baselines/:name', async (req, res) => {
+    if (!await deleteBaseline(req.params.name)) {
+        return res.status(404).json({ error: 'Baseline not found', name: req.params.name });
+    }
+    res.status(204).end();
+});
+
+// Load secrets, stored results and the team's verifiers before accepting requests
+await loadSecrets();
+await initResultsStore();
+await loadVerifierModules();
+
 // Start server
 const PORT = process.env.PORT || 3003;
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+    browserPool.warmUp().catch(error => console.error('Browser pool warm-up failed:', error.message));
+});
+
+// Close pooled browsers on shutdown so no Chrome processes are left behind
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        console.log(`Received ${signal}, shutting down...`);
+        server.close();
+        await browserPool.close();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,200 @@
+// Deterministic checks the model can put in a plan. They are evaluated against the page without
+// any LLM involvement and record the expected and actual values in the findings.
+export const assertionTypes = ['assertText', 'assertVisible', 'assertHidden', 'assertUrl', 'assertCount', 'assertAttribute', 'assertValue'];
+
+// How the assertions are explained to the model, shared by the plan and step prompts
+export const assertionGuide = `Assertions check the page deterministically and decide whether the test passes:
+          - assertText: "target" is a CSS selector or 'page', "value" the expected text.
+          - assertVisible / assertHidden: "target" is a CSS selector.
+          - assertUrl: "value" is the expected URL or part of it.
+          - assertCount: "target" is a CSS selector, "value" the number of matches or a comparison like ">= 3".
+          - assertAttribute: "target" is a CSS selector, "attribute" the attribute name, "value" its expected value (null to only check it exists).
+          - assertValue: "target" is a form field, "value" its expected value.
+          assertText, assertUrl, assertAttribute and assertValue accept "match": "contains", "equals" or "regex".`;
+
+// Assertions keep retrying until they pass or time out, so content that is still rendering gets a chance
+const defaultTimeout = 5000;
+const pollInterval = 250;
+const maxActualLength = 200;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const normalize = text => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+const describe = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+function matchText(actual, expected, match) {
+    if (actual === null || actual === undefined) return false;
+    switch (match) {
+        case 'equals':
+            return normalize(actual) === normalize(expected);
+        case 'regex':
+            return new RegExp(expected).test(actual);
+        default:
+            return normalize(actual).includes(normalize(expected));
+    }
+}
+
+// Count expectations are a number or a comparison such as ">= 3"
+function matchCount(actual, expected) {
+    const [, operator = '=', number] = String(expected).trim().match(/^(>=|<=|>|<|==?)?\s*(\d+)$/) || [];
+    if (number === undefined) {
+        throw new Error(`Invalid assertCount value ${describe(expected)}; use a number or a comparison like ">= 3"`);
+    }
+    const limit = Number(number);
+    switch (operator) {
+        case '>=': return actual >= limit;
+        case '<=': return actual <= limit;
+        case '>': return actual > limit;
+        case '<': return actual < limit;
+        default: return actual === limit;
+    }
+}
+
+function validateAssertion(action) {
+    const needsTarget = action.type !== 'assertUrl';
+    if (needsTarget && (typeof action.target !== 'string' || !action.target)) {
+        return `${action.type} needs a "target" selector`;
+    }
+    if (action.type === 'assertAttribute' && !action.attribute) {
+        return 'assertAttribute needs an "attribute" name';
+    }
+    if (['assertText', 'assertUrl', 'assertCount', 'assertValue'].includes(action.type) && (action.value === undefined || action.value === null)) {
+        return `${action.type} needs an expected "value"`;
+    }
+    return null;
+}
+
+// Evaluate `read` on the first element matching `selector`, or resolve with `missing` when there is none.
+// Element handles rather than document.querySelector, so pierce/, text/ and aria/ selectors work too.
+async function readElement(page, selector, read, missing = null, ...args) {
+    const element = await page.$(selector);
+    if (!element) return missing;
+    try {
+        return await element.evaluate(read, ...args);
+    } finally {
+        await element.dispose();
+    }
+}
+
+// The value an assertion compares against, read from the page
+async function readActual(page, action) {
+    switch (action.type) {
+        case 'assertText':
+            if (action.target === 'page') {
+                return page.evaluate(() => document.body.innerText ?? document.body.textContent);
+            }
+            return readElement(page, action.target, element => element.innerText ?? element.textContent);
+        case 'assertVisible':
+        case 'assertHidden':
+            return readElement(page, action.target, element => {
+                const style = getComputedStyle(element);
+                const { width, height } = element.getBoundingClientRect();
+                return style.display !== 'none' && style.visibility !== 'hidden' && width > 0 && height > 0 ? 'visible' : 'hidden';
+            }, 'missing');
+        case 'assertUrl':
+            return page.url();
+        case 'assertCount': {
+            const elements = await page.$$(action.target);
+            await Promise.all(elements.map(element => element.dispose()));
+            return elements.length;
+        }
+        case 'assertAttribute':
+            return readElement(page, action.target, (element, name) => element.getAttribute(name), null, action.attribute);
+        case 'assertValue':
+            return readElement(page, action.target, element => element.value ?? null);
+    }
+}
+
+function expectationOf(action) {
+    switch (action.type) {
+        case 'assertVisible':
+            return 'visible';
+        case 'assertHidden':
+            return 'hidden or missing';
+        case 'assertAttribute':
+            return action.value === undefined || action.value === null ? 'attribute present' : action.value;
+        default:
+            return action.value;
+    }
+}
+
+function passes(action, actual) {
+    switch (action.type) {
+        case 'assertVisible':
+            return actual === 'visible';
+        case 'assertHidden':
+            return actual !== 'visible';
+        case 'assertCount':
+            return matchCount(actual, action.value);
+        case 'assertAttribute':
+            if (action.value === undefined || action.value === null) return actual !== null;
+            return matchText(actual, action.value, action.match || 'equals');
+        case 'assertValue':
+            return matchText(actual, action.value, action.match || 'equals');
+        default:
+            return matchText(actual, action.value, action.match || 'contains');
+    }
+}
+
+// Evaluate an assertion action; resolves with a finding holding the expected and actual values
+export async function runAssertion(page, action) {
+    const problem = validateAssertion(action);
+    if (problem) {
+        return { action, status: 'failed', error: problem };
+    }
+
+    const expected = expectationOf(action);
+    const deadline = Date.now() + (action.timeout ?? defaultTimeout);
+    let actual = null;
+    let readError = null;
+    for (;;) {
+        try {
+            actual = await readActual(page, action);
+            readError = null;
+        } catch (error) {
+            // The page may be navigating; try again until the deadline
+            readError = error;
+        }
+        if (!readError && passes(action, actual)) {
+            return { action, status: 'success', expected, actual: truncate(actual) };
+        }
+        if (Date.now() >= deadline) break;
+        await delay(pollInterval);
+    }
+
+    const reason = readError
+        ? `could not read the page: ${readError.message}`
+        : `expected ${describe(expected)}${action.match ? ` (${action.match})` : ''} but got ${describe(truncate(actual))}`;
+    const subject = action.target ? `${action.type} ${action.target}` : action.type;
+    return { action, status: 'failed', expected, actual: truncate(actual), error: `${subject} failed: ${reason}` };
+}
+
+function truncate(value) {
+    return typeof value === 'string' && value.length > maxActualLength ? `${value.slice(0, maxActualLength)}…` : value;
+}
+
+// The last result of each distinct assertion, for step-mode runs where the agent may check again
+// after fixing what made an assertion fail. Assertions are the same when all but their description is.
+export function lastAttempts(results) {
+    const latest = new Map();
+    for (const result of results) {
+        const { description, ...assertion } = result.action;
+        const key = JSON.stringify(assertion);
+        latest.delete(key);
+        latest.set(key, result);
+    }
+    return [...latest.values()];
+}
+
+// Verdict of a run's assertions: it passes only if every assertion passed
+export function verifyAssertions(results) {
+    const failed = results.filter(result => result.status !== 'success');
+    if (failed.length) {
+        return {
+            success: false,
+            message: `Test failed: ${failed.length} of ${results.length} assertions failed. ${failed.map(result => result.error).join('; ')}`,
+        };
+    }
+    return { success: true, message: `Test successful: all ${results.length} assertions passed` };
+}
@@ -0,0 +1,260 @@
+import { dataPath, readJson, writeJson } from './storage.js';
+import { resolveSecrets } from './secrets.js';
+
+const profilesFile = dataPath('auth-profiles.json');
+
+// How long the storage state captured by a login flow is reused before logging in again
+const defaultLoginMaxAgeMinutes = 60;
+
+// Profiles are few and small, so they are kept in memory and written through to disk
+let profiles = null;
+let pendingWrite = Promise.resolve();
+// Login flows in progress by profile name, so concurrent runs share a single login
+const pendingLogins = new Map();
+
+async function loadProfiles() {
+    if (!profiles) {
+        profiles = await readJson(profilesFile, []);
+    }
+    return profiles;
+}
+
+// Serialize writes so concurrent requests don't clobber each other
+function saveProfiles() {
+    const write = pendingWrite.then(() => writeJson(profilesFile, profiles));
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for an invalid auth profile payload, or null
+export function validateAuthProfile(body) {
+    if (!isPlainObject(body)) return 'Request body must be a JSON object';
+    if (body.cookies !== undefined) {
+        if (!Array.isArray(body.cookies)) return 'Profile "cookies" must be an array';
+        if (body.cookies.some(cookie => !isPlainObject(cookie) || !cookie.name || cookie.value === undefined || !(cookie.domain || cookie.url))) {
+            return 'Every cookie needs a "name", a "value" and a "domain" or "url"';
+        }
+    }
+    if (body.origins !== undefined) {
+        if (!Array.isArray(body.origins)) return 'Profile "origins" must be an array';
+        for (const entry of body.origins) {
+            if (!isPlainObject(entry) || typeof entry.origin !== 'string') return 'Every origin needs an "origin" like https://app.example.com';
+            for (const area of ['localStorage', 'sessionStorage']) {
+                if (entry[area] !== undefined && !isPlainObject(entry[area])) return `Origin "${area}" must be an object of key/value pairs`;
+            }
+        }
+    }
+    if (body.httpCredentials !== undefined) {
+        if (!isPlainObject(body.httpCredentials) || typeof body.httpCredentials.username !== 'string' || typeof body.httpCredentials.password !== 'string') {
+            return 'Profile "httpCredentials" needs a "username" and a "password"';
+        }
+    }
+    if (body.headers !== undefined && !isPlainObject(body.headers)) return 'Profile "headers" must be an object';
+    if (body.login !== undefined && body.login !== null) {
+        if (!isPlainObject(body.login) || typeof body.login.url !== 'string') return 'Profile "login" needs a "url"';
+        if (!Array.isArray(body.login.actions) || !body.login.actions.length) return 'Profile "login" needs a non-empty "actions" array';
+        if (body.login.actions.some(action => !isPlainObject(action) || typeof action.type !== 'string')) return 'Every login action needs a "type"';
+    }
+    return null;
+}
+
+// What a listing shows: the kinds of auth a profile applies, without cookie values or passwords
+function summarize(profile) {
+    const kinds = ['cookies', 'origins', 'httpCredentials', 'headers', 'login'].filter(kind => profile[kind] && (!Array.isArray(profile[kind]) || profile[kind].length));
+    return {
+        name: profile.name,
+        description: profile.description || '',
+        kinds,
+        loggedInAt: profile.loginState?.capturedAt || null,
+        updatedAt: profile.updatedAt,
+    };
+}
+
+const masked = '********';
+const maskValues = values => Object.fromEntries(Object.keys(values || {}).map(key => [key, masked]));
+
+// What a single profile shows: everything but its cached login state, with the password, header
+// values, cookie values and web storage values masked. Placeholders are masked too, so a profile read
+// back has to get its values again before it is saved.
+export function maskProfile({ loginState, ...profile }) {
+    return {
+        ...profile,
+        cookies: profile.cookies.map(cookie => ({ ...cookie, value: masked })),
+        origins: profile.origins.map(entry => ({
+            ...entry,
+            ...(entry.localStorage && { localStorage: maskValues(entry.localStorage) }),
+            ...(entry.sessionStorage && { sessionStorage: maskValues(entry.sessionStorage) }),
+        })),
+        httpCredentials: profile.httpCredentials && { ...profile.httpCredentials, password: masked },
+        headers: profile.headers && maskValues(profile.headers),
+        loggedInAt: loginState?.capturedAt || null,
+    };
+}
+
+export async function listAuthProfiles() {
+    return (await loadProfiles()).map(summarize);
+}
+
+export async function getAuthProfile(name) {
+    return (await loadProfiles()).find(profile => profile.name === name) || null;
+}
+
+// Create or replace a profile. Replacing drops the cached login state, since the flow may have changed.
+export async function saveAuthProfile(name, { description = '', cookies = [], origins = [], httpCredentials = null, headers = null, login = null }) {
+    await loadProfiles();
+    const now = new Date().toISOString();
+    const existing = await getAuthProfile(name);
+    const profile = {
+        name,
+        description,
+        cookies,
+        origins,
+        httpCredentials,
+        headers,
+        login,
+        loginState: null,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+    };
+    if (existing) {
+        profiles[profiles.indexOf(existing)] = profile;
+    } else {
+        profiles.push(profile);
+    }
+    await saveProfiles();
+    return profile;
+}
+
+export async function deleteAuthProfile(name) {
+    await loadProfiles();
+    const index = profiles.findIndex(profile => profile.name === name);
+    if (index === -1) return false;
+    profiles.splice(index, 1);
+    await saveProfiles();
+    return true;
+}
+
+// Forget the cached login state so the next run logs in again
+export async function clearLoginState(name) {
+    const profile = await getAuthProfile(name);
+    if (!profile) return false;
+    profile.loginState = null;
+    await saveProfiles();
+    return true;
+}
+
+function isFresh(profile) {
+    const state = profile.loginState;
+    if (!state) return false;
+    const maxAge = (profile.login.maxAgeMinutes ?? defaultLoginMaxAgeMinutes) * 60 * 1000;
+    return Date.now() - Date.parse(state.capturedAt) < maxAge;
+}
+
+// Cookies of every domain plus the storage of the page's current origin
+async function captureStorageState(page) {
+    const client = await page.createCDPSession();
+    try {
+        const { cookies } = await client.send('Network.getAllCookies');
+        const storage = await page.evaluate(() => ({
+            origin: location.origin,
+            localStorage: Object.fromEntries(Object.entries(localStorage)),
+            sessionStorage: Object.fromEntries(Object.entries(sessionStorage)),
+        }));
+        return {
+            cookies: cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+                name, value, domain, path, httpOnly, secure, sameSite,
+                ...(expires > 0 ? { expires } : {}),
+            })),
+            origins: [storage],
+            capturedAt: new Date().toISOString(),
+        };
+    } finally {
+        await client.detach().catch(() => {});
+    }
+}
+
+// Log in with the profile's recorded flow, or reuse the cached state while it is fresh
+async function loginState(page, profile, runLogin) {
+    if (isFresh(profile)) {
+        console.log(`Reusing login state of auth profile "${profile.name}" from ${profile.loginState.capturedAt}`);
+        return { state: profile.loginState, loggedIn: false };
+    }
+    if (pendingLogins.has(profile.name)) {
+        return { state: await pendingLogins.get(profile.name), loggedIn: false };
+    }
+
+    const login = (async () => {
+        console.log(`Running login flow of auth profile "${profile.name}"...`);
+        await runLogin(page, profile.login);
+        const state = await captureStorageState(page);
+        profile.loginState = state;
+        await saveProfiles();
+        console.log(`Login state of auth profile "${profile.name}" captured: ${state.cookies.length} cookies`);
+        return state;
+    })();
+    pendingLogins.set(profile.name, login);
+    try {
+        return { state: await login, loggedIn: true };
+    } finally {
+        pendingLogins.delete(profile.name);
+    }
+}
+
+const resolveValues = values => Object.fromEntries(Object.entries(values || {}).map(([key, value]) => [key, resolveSecrets(value)]));
+
+// Web storage can only be written from a page of its origin, so it is seeded by a script that runs
+// before the page's own scripts, once per tab and origin so the app's later changes are kept
+async function seedStorage(page, origins) {
+    await page.evaluateOnNewDocument(entries => {
+        const entry = entries.find(candidate => candidate.origin === location.origin);
+        if (!entry || sessionStorage.getItem('__ai_qa_auth_seeded')) return;
+        for (const [key, value] of Object.entries(entry.localStorage || {})) localStorage.setItem(key, value);
+        for (const [key, value] of Object.entries(entry.sessionStorage || {})) sessionStorage.setItem(key, value);
+        sessionStorage.setItem('__ai_qa_auth_seeded', '1');
+    }, origins);
+}
+
+// Apply auth profile `name` to a page before it navigates. `runLogin(page, login)` performs a login
+// flow and throws when it fails. Resolves with { profile, loggedIn } where loggedIn tells whether
+// the flow ran for this page.
+export async function applyAuthProfile(page, name, { runLogin }) {
+    const profile = await getAuthProfile(name);
+    if (!profile) {
+        throw new Error(`Unknown auth profile "${name}"`);
+    }
+
+    // Passwords, header, cookie and storage values may be {{secret:NAME}} placeholders
+    if (profile.httpCredentials) {
+        await page.authenticate({ ...profile.httpCredentials, password: resolveSecrets(profile.httpCredentials.password) });
+    }
+    if (profile.headers) {
+        await page.setExtraHTTPHeaders(resolveValues(profile.headers));
+    }
+
+    if (profile.cookies.length) {
+        await page.setCookie(...profile.cookies.map(cookie => ({ ...cookie, value: resolveSecrets(cookie.value) })));
+    }
+
+    const origins = profile.origins.map(entry => ({
+        ...entry,
+        localStorage: resolveValues(entry.localStorage),
+        sessionStorage: resolveValues(entry.sessionStorage),
+    }));
+
+    let loggedIn = false;
+    if (profile.login) {
+        const login = await loginState(page, profile, runLogin);
+        loggedIn = login.loggedIn;
+        if (login.state.cookies.length) {
+            await page.setCookie(...login.state.cookies);
+        }
+        origins.push(...login.state.origins);
+    }
+
+    if (origins.length) {
+        await seedStorage(page, origins);
+    }
+    return { profile: profile.name, loggedIn };
+}
@@ -0,0 +1,117 @@
+import puppeteer from 'puppeteer';
+
+// Launch a Chrome instance with the runner's standard flags
+export async function launchBrowser() {
+    return puppeteer.launch({
+        headless: 'new',
+        executablePath: process.env.CHROME_PATH || '/usr/bin/google-chrome', // Adjust path as needed
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu',
+            '--disable-extensions',
+            '--disable-web-security',
+            '--disable-features=site-per-process',
+            '--no-first-run',
+            '--disable-background-networking',
+            '--disable-background-timer-throttling',
+            '--disable-client-side-phishing-detection',
+            '--user-agent=Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
+        ],
+        timeout: 120000,
+        protocolTimeout: 120000,
+        pipe: true,
+        dumpio: true
+    });
+}
+
+// Pool of warm browsers. Each job gets a fresh incognito context on the least busy browser;
+// browsers are recycled after `maxUses` jobs and replaced when they crash.
+export function createBrowserPool({ size = 2, maxUses = 50 } = {}) {
+    const slots = [];
+    let closed = false;
+
+    function addSlot() {
+        const slot = { browser: launchBrowser(), active: 0, uses: 0, retired: false };
+        slot.browser
+            .then(browser => browser.on('disconnected', () => retire(slot)))
+            .catch(error => {
+                console.error('Browser pool launch failed:', error.message);
+                retire(slot);
+            });
+        slots.push(slot);
+        return slot;
+    }
+
+    // Take a browser out of rotation; it is closed once its last context is released
+    function retire(slot) {
+        if (!slot.retired) {
+            slot.retired = true;
+            const index = slots.indexOf(slot);
+            if (index !== -1) slots.splice(index, 1);
+        }
+        if (slot.active === 0) {
+            slot.browser.then(browser => browser.close()).catch(() => {});
+        }
+    }
+
+    async function acquire() {
+        if (closed) {
+            throw new Error('Browser pool is closed');
+        }
+
+        let slot = slots.reduce((best, candidate) => (!best || candidate.active < best.active ? candidate : best), null);
+        if (!slot || (slot.active > 0 && slots.length < size)) {
+            slot = addSlot();
+        }
+        slot.active++;
+        slot.uses++;
+
+        let context;
+        try {
+            const browser = await slot.browser;
+            context = await browser.createBrowserContext();
+            console.log(`Browser pool: context created (${slot.active} active on this browser)`);
+            return {
+                browser,
+                context,
+                release: async () => {
+                    await context.close().catch(error => console.error('Browser context close error:', error.message));
+                    slot.active--;
+                    if (slot.retired || slot.uses >= maxUses) {
+                        retire(slot);
+                    }
+                },
+            };
+        } catch (error) {
+            slot.active--;
+            retire(slot);
+            throw error;
+        }
+    }
+
+    async function warmUp() {
+        while (slots.length < size) {
+            addSlot();
+        }
+        await Promise.all(slots.map(slot => slot.browser));
+        console.log(`Browser pool warmed up with ${slots.length} browsers`);
+    }
+
+    async function close() {
+        closed = true;
+        const browsers = slots.splice(0).map(slot => slot.browser);
+        await Promise.all(browsers.map(browser => browser.then(b => b.close()).catch(() => {})));
+    }
+
+    function stats() {
+        return {
+            size,
+            browsers: slots.length,
+            activeContexts: slots.reduce((total, slot) => total + slot.active, 0),
+        };
+    }
+
+    return { acquire, warmUp, close, stats };
+}
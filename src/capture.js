@@ -0,0 +1,165 @@
+import { join } from 'path';
+import { mkdir, writeFile } from 'fs/promises';
+import { dataPath } from './storage.js';
+import { redact } from './secrets.js';
+
+// Console messages and network traffic of a run, kept bounded so a chatty page can't exhaust memory
+const limits = { console: 500, pageErrors: 100, entries: 2000 };
+const summaryLength = 10;
+
+// Credentials in headers are never written to the network log
+const sensitiveHeaders = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+const toHarHeaders = headers => Object.entries(headers || {}).map(([name, value]) => ({
+    name,
+    value: sensitiveHeaders.includes(name.toLowerCase()) ? '[redacted]' : String(value),
+}));
+
+function pushLimited(list, item, limit, capture) {
+    if (list.length >= limit) {
+        capture.dropped++;
+        return;
+    }
+    list.push(item);
+}
+
+// Start recording console messages, uncaught page errors, failed requests and a HAR-style network log.
+// Pass the capture of a run to record another of its tabs into the same logs.
+export function startCapture(page, capture = { console: [], pageErrors: [], failedRequests: [], entries: [], dropped: 0 }) {
+    const pending = new Map();
+
+    page.on('console', message => {
+        const location = message.location();
+        pushLimited(capture.console, {
+            timestamp: new Date().toISOString(),
+            type: message.type(),
+            text: message.text(),
+            url: location?.url || null,
+            line: location?.lineNumber ?? null,
+        }, limits.console, capture);
+    });
+
+    page.on('pageerror', error => {
+        pushLimited(capture.pageErrors, {
+            timestamp: new Date().toISOString(),
+            message: error.message || String(error),
+            stack: error.stack || null,
+        }, limits.pageErrors, capture);
+    });
+
+    page.on('request', request => {
+        pending.set(request, { startedAt: Date.now(), startedDateTime: new Date().toISOString() });
+    });
+
+    const finish = (request, errorText = null) => {
+        const timing = pending.get(request);
+        if (!timing) return;
+        pending.delete(request);
+
+        const response = request.response();
+        const responseHeaders = response?.headers() || {};
+        const time = Date.now() - timing.startedAt;
+        pushLimited(capture.entries, {
+            startedDateTime: timing.startedDateTime,
+            time,
+            request: {
+                method: request.method(),
+                url: request.url(),
+                httpVersion: 'HTTP/1.1',
+                headers: toHarHeaders(request.headers()),
+                queryString: [],
+                cookies: [],
+                headersSize: -1,
+                bodySize: request.postData()?.length ?? 0,
+            },
+            response: {
+                status: response?.status() ?? 0,
+                statusText: response?.statusText() ?? '',
+                httpVersion: 'HTTP/1.1',
+                headers: toHarHeaders(responseHeaders),
+                cookies: [],
+                content: { size: -1, mimeType: responseHeaders['content-type'] || '' },
+                redirectURL: responseHeaders.location || '',
+                headersSize: -1,
+                bodySize: -1,
+                ...(errorText ? { _error: errorText } : {}),
+            },
+            cache: {},
+            timings: { send: 0, wait: time, receive: 0 },
+            _resourceType: request.resourceType(),
+        }, limits.entries, capture);
+    };
+
+    page.on('requestfinished', request => finish(request));
+    page.on('requestfailed', request => {
+        const errorText = request.failure()?.errorText || 'Request failed';
+        pushLimited(capture.failedRequests, {
+            timestamp: new Date().toISOString(),
+            method: request.method(),
+            url: request.url(),
+            resourceType: request.resourceType(),
+            error: errorText,
+        }, limits.entries, capture);
+        finish(request, errorText);
+    });
+
+    return capture;
+}
+
+const serverErrorsOf = capture => capture.entries.filter(entry => entry.response.status >= 500);
+
+// Counts plus the first few problems, for technicalDetails; the full logs are stored as artifacts
+export function summarizeCapture(capture) {
+    const serverErrors = serverErrorsOf(capture);
+    return {
+        consoleMessages: capture.console.length,
+        consoleErrors: capture.console.filter(message => message.type === 'error').length,
+        pageErrors: capture.pageErrors.slice(0, summaryLength).map(({ message }) => message),
+        pageErrorCount: capture.pageErrors.length,
+        requests: capture.entries.length,
+        failedRequests: capture.failedRequests.slice(0, summaryLength).map(({ method, url, error }) => ({ method, url, error })),
+        failedRequestCount: capture.failedRequests.length,
+        serverErrors: serverErrors.slice(0, summaryLength).map(entry => ({ method: entry.request.method, url: entry.request.url, status: entry.response.status })),
+        serverErrorCount: serverErrors.length,
+        dropped: capture.dropped,
+    };
+}
+
+// Rules from options.failOn that the captured traffic breaks, as failure messages:
+// { pageErrors: true } fails on any uncaught exception, { serverErrors: true } on any 5xx response
+export function captureViolations(capture, failOn = {}) {
+    const violations = [];
+    if (failOn.pageErrors && capture.pageErrors.length) {
+        violations.push(`${capture.pageErrors.length} uncaught page errors (first: ${capture.pageErrors[0].message})`);
+    }
+    const serverErrors = serverErrorsOf(capture);
+    if (failOn.serverErrors && serverErrors.length) {
+        const [first] = serverErrors;
+        violations.push(`${serverErrors.length} responses with a 5xx status (first: ${first.response.status} ${first.request.method} ${first.request.url})`);
+    }
+    return violations;
+}
+
+// Write the network log and the console log of a run to data/artifacts/<runId>
+export async function saveCaptureArtifacts(runId, capture) {
+    const dir = dataPath('artifacts', runId);
+    await mkdir(dir, { recursive: true });
+    const { console: consoleMessages, pageErrors, failedRequests, entries } = redact(capture);
+
+    const har = {
+        log: {
+            version: '1.2',
+            creator: { name: 'ai-qa', version: '1.0' },
+            pages: [],
+            entries,
+        },
+    };
+    const artifacts = [
+        { name: 'network.har', description: 'HAR network log', content: har },
+        { name: 'console.json', description: 'Console messages, page errors and failed requests', content: { console: consoleMessages, pageErrors, failedRequests } },
+    ];
+    for (const artifact of artifacts) {
+        await writeFile(join(dir, artifact.name), JSON.stringify(artifact.content, null, 2));
+    }
+    return artifacts.map(({ name, description }) => ({ name, description, path: join(dir, name) }));
+}
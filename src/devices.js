@@ -0,0 +1,261 @@
+import { KnownDevices, PredefinedNetworkConditions } from 'puppeteer';
+import { dataPath, readJson, writeJson } from './storage.js';
+
+// Device profiles describe the browser a run emulates:
+// { name, extends, userAgent, viewport, locale, timezone, geolocation, colorScheme, network, cpuThrottling }
+// - extends: a built-in device, one of Puppeteer's known devices (e.g. "iPhone 15 Pro") or a custom profile
+// - viewport: { width, height, deviceScaleFactor, isMobile, hasTouch, isLandscape }
+// - geolocation: { latitude, longitude, accuracy }
+// - colorScheme: light or dark
+// - network: Slow 3G, Fast 3G, Slow 4G, Fast 4G or { download, upload, latency } (bytes/s and ms)
+// - cpuThrottling: slowdown factor, e.g. 4
+// Custom profiles are stored in data/devices.json and referenced by name like the built-in ones.
+
+const devicesFile = dataPath('devices.json');
+
+// The runner's original device types; desktop keeps the browser's own settings
+const builtInProfiles = {
+    desktop: { name: 'desktop' },
+    mobile: {
+        name: 'mobile',
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1',
+        viewport: { width: 375, height: 812, isMobile: true, hasTouch: true },
+    },
+    tablet: {
+        name: 'tablet',
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1',
+        viewport: { width: 768, height: 1024, isMobile: true, hasTouch: true },
+    },
+};
+
+// Matrix dimensions and the profile field each one sets
+export const matrixDimensions = ['device', 'locale', 'timezone', 'colorScheme', 'network'];
+// A matrix multiplies run time, so it is kept to what one request can reasonably wait for
+const maxCombinations = 20;
+
+// Custom profiles are few and small, so they are kept in memory and written through to disk
+let profiles = null;
+let pendingWrite = Promise.resolve();
+
+async function loadProfiles() {
+    if (!profiles) {
+        profiles = await readJson(devicesFile, []);
+    }
+    return profiles;
+}
+
+// Serialize writes so concurrent requests don't clobber each other
+function saveProfiles() {
+    const write = pendingWrite.then(() => writeJson(devicesFile, profiles));
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for an invalid device profile, or null
+export function validateDeviceProfile(body) {
+    if (!isPlainObject(body)) return 'Device profile must be a JSON object';
+    if (body.extends !== undefined && typeof body.extends !== 'string') return 'Device "extends" must be a device name';
+    if (body.userAgent !== undefined && typeof body.userAgent !== 'string') return 'Device "userAgent" must be a string';
+    if (body.viewport !== undefined) {
+        const { viewport } = body;
+        if (!isPlainObject(viewport)) return 'Device "viewport" must be an object';
+        for (const key of ['width', 'height']) {
+            if (viewport[key] !== undefined && !(Number.isInteger(viewport[key]) && viewport[key] > 0)) return `Device viewport "${key}" must be a positive integer`;
+        }
+        if (viewport.deviceScaleFactor !== undefined && !(viewport.deviceScaleFactor > 0)) return 'Device viewport "deviceScaleFactor" must be a positive number';
+    }
+    for (const key of ['locale', 'timezone']) {
+        if (body[key] !== undefined && typeof body[key] !== 'string') return `Device "${key}" must be a string`;
+    }
+    if (body.geolocation !== undefined) {
+        const { geolocation } = body;
+        if (!isPlainObject(geolocation) || !(Math.abs(geolocation.latitude) <= 90) || !(Math.abs(geolocation.longitude) <= 180)) {
+            return 'Device "geolocation" needs a "latitude" and a "longitude"';
+        }
+    }
+    if (body.colorScheme !== undefined && !['light', 'dark'].includes(body.colorScheme)) return 'Device "colorScheme" must be light or dark';
+    if (body.network !== undefined) {
+        const { network } = body;
+        const custom = isPlainObject(network) && ['download', 'upload', 'latency'].every(key => typeof network[key] === 'number' && network[key] >= 0);
+        if (!(network in PredefinedNetworkConditions) && !custom) {
+            return `Device "network" must be one of ${Object.keys(PredefinedNetworkConditions).join(', ')} or { download, upload, latency }`;
+        }
+    }
+    if (body.cpuThrottling !== undefined && !(typeof body.cpuThrottling === 'number' && body.cpuThrottling >= 1)) {
+        return 'Device "cpuThrottling" must be a slowdown factor of at least 1';
+    }
+    return null;
+}
+
+// Returns an error message for an invalid options.matrix value, or null
+export function validateMatrix(matrix) {
+    if (!isPlainObject(matrix)) return '"matrix" must be an object of dimensions';
+    const dimensions = Object.keys(matrix);
+    if (!dimensions.length) return 'Matrix needs at least one dimension';
+    for (const dimension of dimensions) {
+        if (!matrixDimensions.includes(dimension)) return `Unknown matrix dimension "${dimension}". Available dimensions: ${matrixDimensions.join(', ')}`;
+        if (!Array.isArray(matrix[dimension]) || !matrix[dimension].length) return `Matrix "${dimension}" must be a non-empty array`;
+        for (const value of matrix[dimension]) {
+            const error = dimension === 'device'
+                ? validateDeviceSpec(value)
+                : validateDeviceProfile({ [dimension]: value });
+            if (error) return error;
+        }
+    }
+    const combinations = dimensions.reduce((count, dimension) => count * matrix[dimension].length, 1);
+    if (combinations > maxCombinations) return `Matrix has ${combinations} combinations; at most ${maxCombinations} are allowed`;
+    return null;
+}
+
+// A device is referenced by name or given inline as a profile
+export function validateDeviceSpec(spec) {
+    if (typeof spec === 'string') return spec ? null : 'Device name must not be empty';
+    return validateDeviceProfile(spec);
+}
+
+// Names of the devices that need no custom profile
+export function builtInDeviceNames() {
+    return [...Object.keys(builtInProfiles), ...Object.keys(KnownDevices)];
+}
+
+export async function listDeviceProfiles() {
+    return loadProfiles();
+}
+
+export async function getDeviceProfile(name) {
+    return (await loadProfiles()).find(profile => profile.name === name) || null;
+}
+
+export async function saveDeviceProfile(name, body) {
+    await loadProfiles();
+    const now = new Date().toISOString();
+    const existing = await getDeviceProfile(name);
+    const profile = { ...body, name, createdAt: existing?.createdAt || now, updatedAt: now };
+    if (existing) {
+        profiles[profiles.indexOf(existing)] = profile;
+    } else {
+        profiles.push(profile);
+    }
+    await saveProfiles();
+    return profile;
+}
+
+export async function deleteDeviceProfile(name) {
+    await loadProfiles();
+    const index = profiles.findIndex(profile => profile.name === name);
+    if (index === -1) return false;
+    profiles.splice(index, 1);
+    await saveProfiles();
+    return true;
+}
+
+async function namedProfile(name) {
+    const custom = await getDeviceProfile(name);
+    if (custom) return custom;
+    if (builtInProfiles[name]) return builtInProfiles[name];
+    if (KnownDevices[name]) {
+        const { userAgent, viewport } = KnownDevices[name];
+        return { name, userAgent, viewport };
+    }
+    return null;
+}
+
+// Resolve a device name or inline profile, following `extends`, into a complete profile
+export async function resolveDeviceProfile(spec, seen = []) {
+    const profile = typeof spec === 'string' ? await namedProfile(spec) : spec;
+    if (!profile) {
+        throw new Error(`Unknown device "${spec}"`);
+    }
+    if (!profile.extends) return { ...profile, name: profile.name || 'custom' };
+    if (seen.includes(profile.extends)) {
+        throw new Error(`Device "${profile.name}" extends itself through "${profile.extends}"`);
+    }
+
+    const base = await resolveDeviceProfile(profile.extends, [...seen, profile.name]);
+    const { extends: _, createdAt, updatedAt, ...own } = profile;
+    return {
+        ...base,
+        ...own,
+        name: own.name || base.name,
+        viewport: base.viewport || own.viewport ? { ...base.viewport, ...own.viewport } : undefined,
+    };
+}
+
+// Every device a run's options refer to, including the legacy userAgent device type
+function deviceSpecsOf(options) {
+    return [options?.device ?? options?.userAgent, ...(options?.matrix?.device || [])].filter(Boolean);
+}
+
+// The name of the first device referenced by `options` objects that can't be resolved, or null
+export async function findUnknownDevice(optionsList) {
+    for (const spec of optionsList.flatMap(deviceSpecsOf)) {
+        try {
+            await resolveDeviceProfile(spec);
+        } catch {
+            return typeof spec === 'string' ? spec : spec.extends;
+        }
+    }
+    return null;
+}
+
+// Every combination of the matrix, as { label, slug, device } where device is an inline profile
+// that extends the combination's device (or `baseDevice` without a device dimension) with the other dimensions
+export function expandMatrix(matrix, baseDevice = 'desktop') {
+    const base = typeof baseDevice === 'string' ? { extends: baseDevice } : baseDevice;
+    let combinations = [{ labels: [], profile: base }];
+    for (const dimension of matrixDimensions.filter(key => matrix[key])) {
+        combinations = combinations.flatMap(combination => matrix[dimension].map(value => ({
+            labels: [...combination.labels, typeof value === 'string' ? value : value.name || `custom ${dimension}`],
+            profile: dimension === 'device'
+                ? (typeof value === 'string' ? { extends: value } : value)
+                : { ...combination.profile, [dimension]: value },
+        })));
+    }
+    return combinations.map(({ labels, profile }) => {
+        const label = labels.join(' / ');
+        return {
+            label,
+            slug: label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+            device: { ...profile, name: label },
+        };
+    });
+}
+
+// Emulate `profile` on a page before it navigates to `url`
+export async function applyDeviceProfile(page, profile, url) {
+    if (profile.viewport) {
+        // A partial viewport (e.g. only deviceScaleFactor) keeps the current size
+        await page.setViewport({ width: 800, height: 600, ...page.viewport(), ...profile.viewport });
+    }
+
+    // Locale and user agent go through one devtools session, so Accept-Language matches navigator.language
+    if (profile.userAgent || profile.locale) {
+        const client = await page.createCDPSession();
+        if (profile.locale) {
+            await client.send('Emulation.setLocaleOverride', { locale: profile.locale });
+        }
+        await client.send('Network.setUserAgentOverride', {
+            userAgent: profile.userAgent || await page.browser().userAgent(),
+            ...(profile.locale ? { acceptLanguage: profile.locale } : {}),
+        });
+    }
+
+    if (profile.timezone) {
+        await page.emulateTimezone(profile.timezone);
+    }
+    if (profile.geolocation) {
+        await page.browserContext().overridePermissions(new URL(url).origin, ['geolocation']);
+        await page.setGeolocation(profile.geolocation);
+    }
+    if (profile.colorScheme) {
+        await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: profile.colorScheme }]);
+    }
+    if (profile.network) {
+        await page.emulateNetworkConditions(PredefinedNetworkConditions[profile.network] || profile.network);
+    }
+    if (profile.cpuThrottling) {
+        await page.emulateCPUThrottling(profile.cpuThrottling);
+    }
+}
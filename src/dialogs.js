@@ -0,0 +1,63 @@
+// JavaScript dialogs (alert, confirm, prompt, beforeunload) of a run. An open dialog blocks the
+// page, so every dialog is answered right away: the way a handleDialog action armed before it
+// says ({ value: "accept" | "dismiss", text }), or accepted with the prompt's default value.
+
+// Dialogs kept per run; a page that alerts in a loop shouldn't grow the result without bound
+const maxDialogs = 100;
+
+// Answer and record the dialogs of every page passed to watch()
+export function trackDialogs() {
+    const dialogs = [];
+    let seen = 0;
+    let armed = null;
+
+    async function onDialog(dialog) {
+        const response = armed || { accept: true, text: undefined, label: undefined };
+        armed = null;
+        seen++;
+        const entry = {
+            timestamp: new Date().toISOString(),
+            type: dialog.type(),
+            message: dialog.message(),
+            response: response.accept ? 'accepted' : 'dismissed',
+            ...(dialog.type() === 'prompt' ? { text: response.label ?? dialog.defaultValue() } : {}),
+        };
+        if (dialogs.length < maxDialogs) dialogs.push(entry);
+
+        try {
+            if (response.accept) {
+                await dialog.accept(response.text);
+            } else {
+                await dialog.dismiss();
+            }
+        } catch (error) {
+            // The page navigated away and took the dialog with it
+            console.error('Dialog handling error:', error.message);
+        }
+    }
+
+    return {
+        watch(page) {
+            page.on('dialog', onDialog);
+        },
+
+        // Set the answer to the next dialog. `text` is what a prompt() receives and `label` what the
+        // findings show instead, so a secret typed into a prompt isn't recorded.
+        arm({ accept, text, label }) {
+            armed = { accept, text, label: label ?? text };
+        },
+
+        // Number of dialogs opened so far, to find the ones an action opened
+        get count() {
+            return seen;
+        },
+
+        since(count) {
+            return dialogs.slice(count);
+        },
+
+        list() {
+            return dialogs;
+        },
+    };
+}
@@ -0,0 +1,57 @@
+// In-memory event channels of runs, consumed by the Server-Sent Events endpoint.
+// Channels are kept for a while after a run ends so late subscribers still get the full log.
+const channels = new Map();
+const retainFinishedFor = 10 * 60 * 1000;
+
+function getChannel(id) {
+    if (!channels.has(id)) {
+        channels.set(id, { events: [], listeners: new Set(), finished: false });
+    }
+    return channels.get(id);
+}
+
+export function hasChannel(id) {
+    return channels.has(id);
+}
+
+export function publishEvent(id, event) {
+    const channel = getChannel(id);
+    const entry = { timestamp: new Date().toISOString(), ...event, seq: channel.events.length + 1 };
+    channel.events.push(entry);
+
+    for (const listener of channel.listeners) {
+        try {
+            listener(entry);
+        } catch (error) {
+            console.error(`Event listener failed for run ${id}:`, error.message);
+        }
+    }
+}
+
+// Publish the final event, tell subscribers the stream is over and schedule cleanup
+export function finishChannel(id, event) {
+    publishEvent(id, event);
+    const channel = getChannel(id);
+    channel.finished = true;
+    for (const listener of channel.listeners) {
+        listener(null);
+    }
+    channel.listeners.clear();
+    setTimeout(() => channels.delete(id), retainFinishedFor).unref();
+}
+
+// Replays events after sequence number `afterSeq`, then streams new ones. The listener receives
+// null once the run has finished. Returns an unsubscribe function.
+export function subscribe(id, listener, afterSeq = 0) {
+    const channel = getChannel(id);
+    for (const event of channel.events.filter(event => event.seq > afterSeq)) {
+        listener(event);
+    }
+    if (channel.finished) {
+        listener(null);
+        return () => {};
+    }
+
+    channel.listeners.add(listener);
+    return () => channel.listeners.delete(listener);
+}
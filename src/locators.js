@@ -0,0 +1,54 @@
+// How an action's target finds its element. Targets are CSS selectors, Puppeteer's prefixed
+// selectors, refs from the page snapshot or an ARIA role and accessible name:
+// - "ref=e12" is the element listed as [e12] in the page snapshot
+// - "pierce/<css>" also searches open shadow roots
+// - "text/<text>" matches the element whose text contains <text>
+// - "aria/<name>" matches by accessible name, e.g. aria/Sign in[role="button"]
+// - { role, name } is shorthand for the aria/ selector above
+// The strategy is recorded on the finding as { strategy, selector }.
+
+const prefixes = ['pierce', 'text', 'aria', 'xpath'];
+const refPattern = /^ref=(e\d+)$/;
+
+// How selectors are explained to the model, shared by the plan, step and healing prompts
+export const selectorGuide = `Targets are CSS selectors, or one of Puppeteer's selectors when CSS can't reach the element:
+          - "ref=eN" for the element listed as [eN] in the page snapshot; prefer refs for elements the snapshot lists.
+          - "pierce/<css selector>" for elements inside shadow roots (the snapshot marks them "in <host>").
+          - "text/<text>" for an element by its visible text, e.g. "text/Accept all".
+          - "aria/<accessible name>" for an element by its label, or an object { "role": "button", "name": "Sign in" } for a role and name.
+          Avoid jQuery-specific pseudo-selectors like ':contains'; use "text/" instead.`;
+
+// Action types whose target is not an element
+const nonElementTargets = ['navigate', 'goBack', 'reload', 'waitForPopup', 'switchTab', 'closeTab', 'switchFrame', 'handleDialog', 'clickAt', 'assertUrl'];
+
+const isRoleTarget = target => Boolean(target) && typeof target === 'object' && !Array.isArray(target) && typeof target.role === 'string';
+
+// The locator of an action's target as { strategy, selector }, or null when it targets no element
+export function locatorOf(action) {
+    const { target } = action;
+    if (nonElementTargets.includes(action.type) || target === undefined || target === null || target === 'page') return null;
+    if (isRoleTarget(target)) {
+        return { strategy: 'role', selector: `aria/${target.name ?? ''}[role="${target.role}"]` };
+    }
+    if (typeof target !== 'string') {
+        throw new Error(`Invalid target ${JSON.stringify(target)}; use a selector or { role, name }`);
+    }
+    const ref = refOf(target);
+    // Refs may sit inside shadow roots, which pierce/ reaches as well as the document
+    if (ref) return { strategy: 'ref', selector: `pierce/[data-qa-ref="${ref}"]` };
+    const prefix = prefixes.find(name => target.startsWith(`${name}/`));
+    if (prefix) return { strategy: prefix, selector: target };
+    // Puppeteer's ::-p-text(), ::-p-aria() and ::-p-xpath() pseudo-elements inside a CSS selector
+    const pseudo = target.match(/::-p-(text|aria|xpath)\(/);
+    return { strategy: pseudo ? pseudo[1] : 'css', selector: target };
+}
+
+// The snapshot ref ("e12") a target names, or null. Refs only hold for the page load they were taken on.
+export function refOf(target) {
+    return typeof target === 'string' ? target.match(refPattern)?.[1] ?? null : null;
+}
+
+// A target as it reads in logs and reports
+export function describeTarget(target) {
+    return isRoleTarget(target) ? `${target.role} "${target.name ?? ''}"` : target;
+}
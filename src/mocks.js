@@ -0,0 +1,118 @@
+// Per-test API mocking through request interception. Each rule of options.mocks is
+// { name, url, method, status, headers, body, delay, abort, times }:
+// - url: substring of the request URL, or a glob where * matches anything when it contains a *
+// - method: only match this HTTP method (default any)
+// - status / headers / body: respond with a stub; an object body is sent as JSON
+// - delay: milliseconds to wait before responding, aborting or letting the request through
+// - abort: true or a Puppeteer error code ('failed', 'timedout', 'connectionrefused', ...) to block the request
+// - times: stop matching after this many hits
+// The first matching rule wins; unmatched requests go to the network.
+
+const abortCodes = ['aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+    'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused', 'connectionreset',
+    'internetdisconnected', 'namenotresolved', 'timedout', 'failed'];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const escapeRegex = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+function urlMatcher(pattern) {
+    if (!pattern.includes('*')) {
+        return url => url.includes(pattern);
+    }
+    const regex = new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`);
+    return url => regex.test(url);
+}
+
+const hasResponse = rule => rule.status !== undefined || rule.body !== undefined || rule.headers !== undefined;
+
+// Returns an error message for an invalid options.mocks value, or null
+export function validateMocks(mocks) {
+    if (!Array.isArray(mocks)) return '"mocks" must be an array of rules';
+    for (const [index, rule] of mocks.entries()) {
+        const label = `Mock rule ${index + 1}`;
+        if (!rule || typeof rule !== 'object') return `${label} must be an object`;
+        if (typeof rule.url !== 'string' || !rule.url) return `${label} needs a "url" pattern`;
+        if (rule.method !== undefined && typeof rule.method !== 'string') return `${label} "method" must be a string`;
+        if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 100 && rule.status <= 599)) return `${label} "status" must be an HTTP status code`;
+        if (rule.headers !== undefined && (typeof rule.headers !== 'object' || Array.isArray(rule.headers))) return `${label} "headers" must be an object`;
+        if (rule.delay !== undefined && !(Number(rule.delay) >= 0)) return `${label} "delay" must be a number of milliseconds`;
+        if (rule.abort !== undefined && rule.abort !== false && rule.abort !== true && !abortCodes.includes(rule.abort)) {
+            return `${label} "abort" must be true or one of: ${abortCodes.join(', ')}`;
+        }
+        if (rule.abort && hasResponse(rule)) return `${label} can't both abort and respond`;
+        if (rule.times !== undefined && !(Number.isInteger(rule.times) && rule.times > 0)) return `${label} "times" must be a positive integer`;
+    }
+    return null;
+}
+
+function respondWith(rule) {
+    const isJson = rule.body !== null && typeof rule.body === 'object';
+    const headers = Object.fromEntries(Object.entries(rule.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)]));
+    const contentType = headers['content-type'] || (isJson ? 'application/json' : 'text/plain');
+    delete headers['content-type'];
+    return {
+        status: rule.status ?? 200,
+        headers,
+        contentType,
+        body: isJson ? JSON.stringify(rule.body) : String(rule.body ?? ''),
+    };
+}
+
+// Turn on request interception for `mocks`; returns a tracker whose watch(page) applies the same rules
+// to another tab, and whose summary() reports the hits of every rule across all of them
+export async function applyMocks(page, mocks) {
+    const rules = mocks.map((rule, index) => ({
+        rule,
+        name: rule.name || `${rule.method ? `${rule.method.toUpperCase()} ` : ''}${rule.url}`,
+        index,
+        matches: urlMatcher(rule.url),
+        method: rule.method?.toUpperCase(),
+        hits: 0,
+        requests: [],
+    }));
+
+    async function onRequest(request) {
+        if (request.isInterceptResolutionHandled()) return;
+        const entry = rules.find(candidate => (!candidate.method || candidate.method === request.method())
+            && (!candidate.rule.times || candidate.hits < candidate.rule.times)
+            && candidate.matches(request.url()));
+
+        try {
+            if (!entry) {
+                await request.continue();
+                return;
+            }
+
+            entry.hits++;
+            if (entry.requests.length < 10) entry.requests.push(`${request.method()} ${request.url()}`);
+            const { rule } = entry;
+            if (rule.delay) await delay(Number(rule.delay));
+
+            if (rule.abort) {
+                await request.abort(rule.abort === true ? 'failed' : rule.abort);
+            } else if (hasResponse(rule)) {
+                await request.respond(respondWith(rule));
+            } else {
+                await request.continue();
+            }
+        } catch (error) {
+            // The page closed while the request was held; nothing left to answer
+            console.error(`Mocked request handling failed for ${request.url()}:`, error.message);
+        }
+    }
+
+    async function watch(target) {
+        await target.setRequestInterception(true);
+        target.on('request', onRequest);
+    }
+
+    await watch(page);
+    console.log(`Request mocking enabled with ${rules.length} rules`);
+
+    return {
+        // Rules are shared, so a rule's `times` counts the hits of every tab
+        watch,
+        summary: () => rules.map(({ name, index, hits, requests }) => ({ name, index, hits, requests })),
+    };
+}
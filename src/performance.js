@@ -0,0 +1,145 @@
+// Performance metrics of a run: navigation timing, Core Web Vitals, Chrome's runtime counters and
+// bytes transferred, recorded after the initial load and after every navigation. options.budgets
+// sets upper limits on any of the metrics below, e.g. { "lcp": 2500, "cls": 0.1 }; a snapshot over
+// budget fails the run. Times are in milliseconds and sizes in bytes.
+
+export const metricNames = {
+    ttfb: 'Time to first byte',
+    domContentLoaded: 'DOMContentLoaded',
+    load: 'Load event',
+    fcp: 'First Contentful Paint',
+    lcp: 'Largest Contentful Paint',
+    cls: 'Cumulative Layout Shift',
+    inp: 'Interaction to Next Paint',
+    tbt: 'Total Blocking Time',
+    transferSize: 'Bytes transferred',
+    jsHeapUsedSize: 'JS heap used',
+    nodes: 'DOM nodes',
+};
+
+// Installed in every document before its own scripts, so buffered entries and early shifts are seen.
+// TBT counts the blocking part of every long task since navigation start; INP is the slowest interaction.
+function installVitalsObserver() {
+    const vitals = { fcp: null, lcp: null, cls: 0, inp: null, tbt: 0 };
+    window.__aiQaVitals = vitals;
+
+    const observe = (type, callback, options = {}) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+        } catch {
+            // Entry type not supported by this browser
+        }
+    };
+
+    observe('paint', entry => {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+    });
+    observe('largest-contentful-paint', entry => {
+        vitals.lcp = entry.startTime;
+    });
+    // CLS is the largest session window: shifts less than 1s apart, for at most 5s
+    let session = { value: 0, start: 0, last: 0 };
+    observe('layout-shift', entry => {
+        if (entry.hadRecentInput) return;
+        if (entry.startTime - session.last > 1000 || entry.startTime - session.start > 5000) {
+            session = { value: 0, start: entry.startTime, last: entry.startTime };
+        }
+        session.value += entry.value;
+        session.last = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, session.value);
+    });
+    observe('longtask', entry => {
+        vitals.tbt += Math.max(0, entry.duration - 50);
+    });
+    observe('event', entry => {
+        if (entry.interactionId) vitals.inp = Math.max(vitals.inp ?? 0, entry.duration);
+    }, { durationThreshold: 16 });
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for an invalid options.budgets value, or null
+export function validateBudgets(budgets) {
+    if (!isPlainObject(budgets)) return '"budgets" must be an object of metric limits';
+    for (const [name, limit] of Object.entries(budgets)) {
+        if (!(name in metricNames)) return `Unknown budget metric "${name}". Available metrics: ${Object.keys(metricNames).join(', ')}`;
+        if (typeof limit !== 'number' || !(limit >= 0)) return `Budget "${name}" must be a non-negative number`;
+    }
+    return null;
+}
+
+// Start observing a page before it navigates. Resolves with the tracker recordMetrics() fills.
+export async function startPerformance(page) {
+    const tracker = { snapshots: [], transferred: 0, reported: 0 };
+    await page.evaluateOnNewDocument(installVitalsObserver);
+
+    // Encoded bytes of every finished response, which the page can't see for cross-origin resources
+    const client = await page.createCDPSession();
+    await client.send('Network.enable');
+    client.on('Network.loadingFinished', event => {
+        tracker.transferred += event.encodedDataLength;
+    });
+    return tracker;
+}
+
+const round = value => (typeof value === 'number' ? Math.round(value) : null);
+
+// Record a snapshot of the page's metrics. `stage` is load or navigation; navigations also get
+// the index of the action that caused them.
+export async function recordMetrics(page, tracker, stage, actionIndex = null) {
+    const [timing, runtime] = await Promise.all([
+        page.evaluate(() => {
+            const [navigation] = performance.getEntriesByType('navigation');
+            return {
+                ttfb: navigation?.responseStart ?? null,
+                domContentLoaded: navigation?.domContentLoadedEventEnd || null,
+                load: navigation?.loadEventEnd || null,
+                ...(window.__aiQaVitals || {}),
+            };
+        }),
+        page.metrics(),
+    ]);
+
+    const snapshot = {
+        stage,
+        actionIndex,
+        url: page.url(),
+        timestamp: new Date().toISOString(),
+        metrics: {
+            ttfb: round(timing.ttfb),
+            domContentLoaded: round(timing.domContentLoaded),
+            load: round(timing.load),
+            fcp: round(timing.fcp),
+            lcp: round(timing.lcp),
+            cls: typeof timing.cls === 'number' ? Number(timing.cls.toFixed(4)) : null,
+            inp: round(timing.inp),
+            tbt: round(timing.tbt),
+            // Bytes since the previous snapshot, so each navigation is measured on its own
+            transferSize: tracker.transferred - tracker.reported,
+            jsHeapUsedSize: runtime.JSHeapUsedSize ?? null,
+            jsHeapTotalSize: runtime.JSHeapTotalSize ?? null,
+            nodes: runtime.Nodes ?? null,
+            documents: runtime.Documents ?? null,
+            jsEventListeners: runtime.JSEventListeners ?? null,
+            layoutCount: runtime.LayoutCount ?? null,
+        },
+    };
+    tracker.reported = tracker.transferred;
+    tracker.snapshots.push(snapshot);
+    return snapshot;
+}
+
+// Failure messages for snapshots with metrics over budget; metrics the browser didn't report are skipped
+export function budgetViolations(snapshots, budgets = {}) {
+    const violations = [];
+    for (const snapshot of snapshots) {
+        for (const [name, limit] of Object.entries(budgets)) {
+            const value = snapshot.metrics[name];
+            if (typeof value === 'number' && value > limit) {
+                const where = snapshot.actionIndex === null ? snapshot.stage : `after step ${snapshot.actionIndex + 1}`;
+                violations.push(`${name} ${value} over budget ${limit} (${where}, ${snapshot.url})`);
+            }
+        }
+    }
+    return violations;
+}
@@ -0,0 +1,182 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Obfuscate API key for logging (show first 5 and last 5 characters, mask the rest)
+export const obfuscateApiKey = (key) => {
+    if (!key || key.length < 10) return '***';
+    return `${key.slice(0, 5)}...${key.slice(-5)}`;
+};
+
+// Provider for any endpoint that speaks the OpenAI /chat/completions protocol. `vision` says
+// whether its model reads images.
+function createOpenAICompatibleProvider({ name, label, baseURL, apiKey, model, maxTokens = true, vision = false, extraBody = {} }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    const client = axios.create({ baseURL, headers });
+
+    return {
+        name,
+        label,
+        model,
+        vision,
+        describe() {
+            return { name, model, baseURL, apiKey: apiKey ? obfuscateApiKey(apiKey) : 'none' };
+        },
+        // `images` ({ mimeType, data } with base64 data) are sent with the prompt as data URLs
+        async complete({ system, prompt, images = [], maxTokens: limit = 500 }) {
+            const content = images.length
+                ? [
+                    { type: 'text', text: prompt },
+                    ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } })),
+                ]
+                : prompt;
+            const response = await client.post('/chat/completions', {
+                model,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content },
+                ],
+                temperature: 0.3,
+                response_format: { type: 'json_object' },
+                ...(maxTokens ? { max_tokens: limit } : {}),
+                ...extraBody,
+            });
+
+            return JSON.parse(response.data.choices[0].message.content);
+        },
+    };
+}
+
+// Default answers of the mock provider, keyed by task
+const mockDefaults = {
+    plan: {
+        interpretation: 'Mock provider: capture a screenshot of the loaded page',
+        actions: [
+            {
+                type: 'screenshot',
+                target: 'page',
+                value: 'mock_page',
+                description: 'Capture screenshot of the loaded page',
+            },
+        ],
+        expectedOutcome: 'Screenshot of the page is captured',
+    },
+    step: {
+        reasoning: 'Mock provider: the page is loaded, nothing left to do',
+        status: 'done',
+        action: null,
+        reason: 'Page loaded',
+        interpretation: 'Mock provider: check that the page loads',
+        expectedOutcome: 'The page is loaded',
+    },
+    heal: {
+        selector: null,
+        reasoning: 'Mock provider: no replacement selector',
+    },
+    verify: {
+        success: true,
+        message: 'Mock provider: outcome accepted',
+    },
+};
+
+// Deterministic provider for offline runs. `responses` maps a task name to either a single
+// response or an array of responses consumed in order (the last one repeats). Every call is
+// recorded in `calls`, including the images it was sent.
+function createMockProvider(responses = {}) {
+    const calls = [];
+
+    return {
+        name: 'mock',
+        label: 'Mock provider',
+        model: 'mock',
+        vision: true,
+        calls,
+        describe() {
+            return { name: 'mock', model: 'mock' };
+        },
+        async complete({ task, system, prompt, images = [] }) {
+            const scripted = responses[task];
+            const callsForTask = calls.filter(call => call.task === task).length;
+            calls.push({ task, system, prompt, images });
+
+            let response;
+            if (Array.isArray(scripted)) {
+                response = scripted[Math.min(callsForTask, scripted.length - 1)];
+            } else {
+                response = scripted ?? mockDefaults[task];
+            }
+
+            if (response === undefined) {
+                throw new Error(`Mock provider has no response for task "${task}"`);
+            }
+            // Hand out copies so callers can't mutate the script
+            return JSON.parse(JSON.stringify(response));
+        },
+    };
+}
+
+const providerFactories = {
+    openai: (options) => {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new Error('OPENAI_API_KEY is not set in environment variables');
+        }
+        return createOpenAICompatibleProvider({
+            name: 'openai',
+            label: 'OpenAI',
+            baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY,
+            model: options.model || process.env.OPENAI_MODEL || 'gpt-4o',
+            vision: process.env.OPENAI_VISION !== 'false',
+        });
+    },
+    arcade: (options) => {
+        if (!process.env.ARCADE_AI_API_KEY) {
+            throw new Error('ARCADE_AI_API_KEY is not set in environment variables');
+        }
+        return createOpenAICompatibleProvider({
+            name: 'arcade',
+            label: 'Arcade AI',
+            baseURL: process.env.ARCADE_AI_BASE_URL || 'http://api.arcade.dev/v1',
+            apiKey: process.env.ARCADE_AI_API_KEY,
+            model: options.model || process.env.ARCADE_AI_MODEL || 'arcade-gpt',
+            maxTokens: false,
+            extraBody: { stream: false },
+        });
+    },
+    local: (options) => createOpenAICompatibleProvider({
+        name: 'local',
+        label: 'Local LLM',
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        model: options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        vision: process.env.LOCAL_LLM_VISION === 'true',
+    }),
+    mock: (options) => createMockProvider(options.mockResponses),
+};
+
+// Register an additional provider factory: (options) => ({ name, label, model, vision, describe, complete })
+export function registerProvider(name, factory) {
+    providerFactories[name] = factory;
+}
+
+export function hasProvider(name) {
+    return Object.hasOwn(providerFactories, name);
+}
+
+export function listProviders() {
+    return Object.keys(providerFactories);
+}
+
+// Resolve the provider for a run from options.provider, falling back to LLM_PROVIDER, then OpenAI
+export function getProvider(options = {}) {
+    const name = options.provider || process.env.LLM_PROVIDER || 'openai';
+    if (!hasProvider(name)) {
+        throw new Error(`Unknown LLM provider "${name}". Available providers: ${listProviders().join(', ')}`);
+    }
+    return providerFactories[name](options);
+}
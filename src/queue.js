@@ -0,0 +1,48 @@
+// FIFO job queue that runs at most `concurrency` jobs at a time
+export function createJobQueue({ concurrency = 2 } = {}) {
+    const waiting = [];
+    const running = new Set();
+
+    function next() {
+        while (running.size < concurrency && waiting.length) {
+            const job = waiting.shift();
+            running.add(job.id);
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    running.delete(job.id);
+                    next();
+                });
+        }
+    }
+
+    // Queue `task` under `id`; resolves or rejects with the task's outcome once it has run
+    function enqueue(id, task) {
+        return new Promise((resolve, reject) => {
+            waiting.push({ id, task, resolve, reject });
+            next();
+        });
+    }
+
+    // 1-based position of a waiting job, or null once it is running or done
+    function position(id) {
+        const index = waiting.findIndex(job => job.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    // Drop a job that hasn't started; its promise rejects. Returns false if it already started
+    function remove(id) {
+        const index = waiting.findIndex(job => job.id === id);
+        if (index === -1) return false;
+        const [job] = waiting.splice(index, 1);
+        job.reject(new Error(`Job ${id} was removed from the queue`));
+        return true;
+    }
+
+    function stats() {
+        return { concurrency, running: running.size, queued: waiting.length };
+    }
+
+    return { enqueue, position, remove, stats };
+}
@@ -0,0 +1,344 @@
+import { join } from 'path';
+import { readFile } from 'fs/promises';
+import { describeTarget } from './locators.js';
+
+export const reportFormats = {
+    junit: { contentType: 'application/xml', extension: 'xml' },
+    html: { contentType: 'text/html', extension: 'html' },
+    markdown: { contentType: 'text/markdown', extension: 'md' },
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Keep table cells on one line and stop pipes from breaking the table
+const escapeMarkdown = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const formatData = (data) => (data === undefined || data === null ? '' : typeof data === 'string' ? data : JSON.stringify(data));
+
+function findingsOf(result) {
+    return result.analysis?.taskExecution?.findings || [];
+}
+
+// Assertions show what they found, other steps their error or extracted data
+function findingDetails(finding) {
+    if (finding.error || finding.reason) return finding.error || finding.reason;
+    if ('expected' in finding) return `Expected ${formatData(finding.expected)}, got ${formatData(finding.actual)}`;
+    return formatData(finding.data);
+}
+
+// One line on what the page did wrong during the run, from the captured console and network logs
+function captureLine(result) {
+    const capture = result.technicalDetails?.capture;
+    if (!capture) return null;
+    return `${capture.pageErrorCount} page errors, ${capture.consoleErrors} console errors, ${capture.failedRequestCount} failed requests, ${capture.serverErrorCount} 5xx responses`;
+}
+
+function mocksLine(result) {
+    const mocks = result.technicalDetails?.mocks;
+    if (!mocks?.length) return null;
+    return mocks.map(mock => `${mock.name} (${mock.hits} hits)`).join(', ');
+}
+
+function visualLine(result) {
+    const comparisons = result.analysis?.visual?.comparisons;
+    if (!comparisons?.length) return null;
+    const counts = {};
+    for (const comparison of comparisons) counts[comparison.status] = (counts[comparison.status] || 0) + 1;
+    return `${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')} (baseline ${result.analysis.visual.baseline})`;
+}
+
+function accessibilityLine(result) {
+    const accessibility = result.analysis?.accessibility;
+    if (!accessibility) return null;
+    const counts = Object.entries(accessibility.summary).filter(([, count]) => count).map(([impact, count]) => `${count} ${impact}`);
+    return `${counts.length ? counts.join(', ') : 'no'} violations (fails on ${accessibility.failOn})`;
+}
+
+const performanceColumns = ['Page', 'TTFB', 'FCP', 'LCP', 'CLS', 'TBT', 'INP', 'Transferred', 'JS heap', 'DOM nodes'];
+
+const formatMs = value => (value === null || value === undefined ? '–' : `${value} ms`);
+const formatBytes = value => (value === null || value === undefined ? '–' : `${(value / 1024).toFixed(1)} KB`);
+
+// One row of formatted cells per performance snapshot of the run
+function performanceRows(result) {
+    return (result.technicalDetails?.performance || []).map(({ stage, actionIndex, url, metrics }) => [
+        `${actionIndex === null ? stage : `after step ${actionIndex + 1}`}: ${url}`,
+        formatMs(metrics.ttfb),
+        formatMs(metrics.fcp),
+        formatMs(metrics.lcp),
+        metrics.cls ?? '–',
+        formatMs(metrics.tbt),
+        formatMs(metrics.inp),
+        formatBytes(metrics.transferSize),
+        formatBytes(metrics.jsHeapUsedSize),
+        metrics.nodes ?? '–',
+    ].map(String));
+}
+
+function findingName(finding, index) {
+    const { type, description, target } = finding.action;
+    return `${index + 1}. ${type}: ${description || describeTarget(target) || ''}`;
+}
+
+// Collect the entries of a report for a stored result. Suite runs expand into their tests,
+// whose results are fetched through `loadResult(id)`.
+export async function buildReport(id, result, loadResult) {
+    if (!result.suiteId) {
+        return {
+            title: `QA report: ${result.url}`,
+            entries: matrixEntries({ id, name: result.instructions || result.url, result }),
+        };
+    }
+
+    const entries = [];
+    for (const test of result.tests || []) {
+        const testResult = await loadResult(test.analysisId)
+            || { status: test.status, message: `${test.message} (result no longer stored)` };
+        entries.push(...matrixEntries({ id: test.analysisId, name: test.name, result: testResult }));
+    }
+    return { title: `Suite report: ${result.suiteName}`, entries };
+}
+
+// A matrix run is reported as one entry per combination
+export function matrixEntries(entry) {
+    if (!entry.result.matrix) return [entry];
+    return entry.result.matrix.map(run => ({
+        id: `${entry.id}/${run.slug}`,
+        name: `${entry.name} [${run.label}]`,
+        result: run.result || { url: entry.result.url, instructions: entry.result.instructions, status: run.status, message: run.message },
+    }));
+}
+
+// Render a report for one or more results. `report` is { title, entries: [{ id, name, result }] }
+export async function renderReport(report, format) {
+    switch (format) {
+        case 'junit':
+            return renderJUnit(report);
+        case 'html':
+            return renderHtml(report);
+        case 'markdown':
+            return renderMarkdown(report);
+        default:
+            throw new Error(`Unknown report format "${format}". Available formats: ${Object.keys(reportFormats).join(', ')}`);
+    }
+}
+
+// JUnit XML: one testsuite per run, one testcase per finding plus one for the verification
+function renderJUnit({ title, entries }) {
+    const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+    const suites = entries.map(({ id, name, result }) => {
+        const cases = [];
+        const counts = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+        if (!result.analysis) {
+            counts.tests++;
+            counts.errors++;
+            cases.push(`    <testcase classname="${escapeXml(name)}" name="Run">
+      <error message="${escapeXml(result.message)}" type="${escapeXml(result.status)}">${escapeXml(result.stack || result.error || result.message)}</error>
+    </testcase>`);
+        } else {
+            findingsOf(result).forEach((finding, index) => {
+                counts.tests++;
+                let body = '';
+                if (finding.status === 'failed') {
+                    counts.failures++;
+                    body = `\n      <failure message="${escapeXml(finding.error || 'Action failed')}" type="failed">${escapeXml(JSON.stringify(finding.action))}</failure>\n    `;
+                } else if (finding.status === 'skipped') {
+                    counts.skipped++;
+                    body = `\n      <skipped message="${escapeXml(finding.reason || 'Skipped')}"/>\n    `;
+                }
+                cases.push(`    <testcase classname="${escapeXml(name)}" name="${escapeXml(findingName(finding, index))}">${body}</testcase>`);
+            });
+
+            counts.tests++;
+            const verificationBody = result.status === 'success'
+                ? ''
+                : `\n      <failure message="${escapeXml(result.message)}" type="verification">${escapeXml(result.analysis.aiInterpretation?.expectedOutcome)}</failure>\n    `;
+            if (result.status !== 'success') counts.failures++;
+            cases.push(`    <testcase classname="${escapeXml(name)}" name="Verification">${verificationBody}</testcase>`);
+        }
+
+        for (const key of Object.keys(totals)) totals[key] += counts[key];
+
+        return `  <testsuite name="${escapeXml(name)}" id="${escapeXml(id)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}"${result.timestamp ? ` timestamp="${escapeXml(result.timestamp)}"` : ''}>
+    <properties>
+      <property name="url" value="${escapeXml(result.url)}"/>
+      <property name="instructions" value="${escapeXml(result.instructions)}"/>
+      <property name="status" value="${escapeXml(result.status)}"/>
+    </properties>
+${cases.join('\n')}
+  </testsuite>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(title)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+// Screenshots are embedded as data URIs so the HTML file stands on its own
+async function embedScreenshot(screenshot) {
+    try {
+        const image = await readFile(join(process.cwd(), 'public', screenshot.path));
+        return `data:image/png;base64,${image.toString('base64')}`;
+    } catch (error) {
+        console.error(`Failed to embed screenshot ${screenshot.path}:`, error.message);
+        return null;
+    }
+}
+
+async function renderHtml({ title, entries }) {
+    const sections = [];
+
+    for (const { name, result } of entries) {
+        const interpretation = result.analysis?.aiInterpretation;
+        const findings = findingsOf(result);
+        const screenshots = [];
+        for (const screenshot of result.screenshots || []) {
+            screenshots.push({ ...screenshot, src: await embedScreenshot(screenshot) });
+        }
+
+        sections.push(`
+    <section>
+        <h2>${escapeHtml(name)} <span class="status ${escapeHtml(result.status)}">${escapeHtml(result.status)}</span></h2>
+        <dl>
+            <dt>URL</dt><dd>${escapeHtml(result.url)}</dd>
+            <dt>Instructions</dt><dd>${escapeHtml(result.instructions)}</dd>
+            <dt>Run at</dt><dd>${escapeHtml(result.timestamp || result.createdAt)}</dd>
+            <dt>Verification</dt><dd>${escapeHtml(result.message)}</dd>
+            ${captureLine(result) ? `<dt>Page health</dt><dd>${escapeHtml(captureLine(result))}</dd>` : ''}
+            ${mocksLine(result) ? `<dt>Mocks</dt><dd>${escapeHtml(mocksLine(result))}</dd>` : ''}
+            ${visualLine(result) ? `<dt>Visual</dt><dd>${escapeHtml(visualLine(result))}</dd>` : ''}
+            ${accessibilityLine(result) ? `<dt>Accessibility</dt><dd>${escapeHtml(accessibilityLine(result))}</dd>` : ''}
+        </dl>
+        ${interpretation ? `
+        <h3>AI interpretation</h3>
+        <p>${escapeHtml(interpretation.interpretation)}</p>
+        <p><strong>Expected outcome:</strong> ${escapeHtml(interpretation.expectedOutcome)}</p>
+        ${interpretation.outcome ? `<p><strong>Agent outcome:</strong> ${escapeHtml(interpretation.outcome.status)} — ${escapeHtml(interpretation.outcome.reason)}</p>` : ''}` : ''}
+        ${findings.length ? `
+        <h3>Steps</h3>
+        <table>
+            <thead><tr><th>#</th><th>Action</th><th>Target</th><th>Description</th><th>Status</th><th>Details</th></tr></thead>
+            <tbody>
+            ${findings.map((finding, index) => `<tr>
+                <td>${index + 1}</td>
+                <td>${escapeHtml(finding.action.type)}</td>
+                <td><code>${escapeHtml(describeTarget(finding.action.target))}</code></td>
+                <td>${escapeHtml(finding.action.description)}</td>
+                <td class="status ${escapeHtml(finding.status)}">${escapeHtml(finding.status)}</td>
+                <td>${escapeHtml(findingDetails(finding))}${finding.healed ? `<br>Healed: <code>${escapeHtml(finding.healed.healedTarget)}</code>` : ''}</td>
+            </tr>`).join('\n            ')}
+            </tbody>
+        </table>` : ''}
+        ${performanceRows(result).length ? `
+        <h3>Performance</h3>
+        <table>
+            <thead><tr>${performanceColumns.map(column => `<th>${column}</th>`).join('')}</tr></thead>
+            <tbody>
+            ${performanceRows(result).map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n            ')}
+            </tbody>
+        </table>` : ''}
+        ${screenshots.length ? `
+        <h3>Screenshots</h3>
+        ${screenshots.map(screenshot => `<figure>
+            ${screenshot.src ? `<img src="${screenshot.src}" alt="${escapeHtml(screenshot.description)}">` : `<p>Screenshot ${escapeHtml(screenshot.path)} is no longer available</p>`}
+            <figcaption>${escapeHtml(screenshot.description)} — ${escapeHtml(screenshot.timestamp)}</figcaption>
+        </figure>`).join('\n        ')}` : ''}
+    </section>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 64rem; color: #1f2937; }
+        section { border-top: 1px solid #e5e7eb; padding-top: 1rem; margin-top: 2rem; }
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+        dt { font-weight: 600; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+        th, td { border: 1px solid #e5e7eb; padding: 0.4rem; text-align: left; vertical-align: top; }
+        code { word-break: break-all; }
+        .status { font-weight: 600; text-transform: uppercase; font-size: 0.75rem; }
+        .success { color: #15803d; }
+        .failed, .error { color: #b91c1c; }
+        .skipped { color: #6b7280; }
+        figure { margin: 1rem 0; }
+        img { max-width: 100%; border: 1px solid #e5e7eb; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>Generated ${new Date().toISOString()}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderMarkdown({ title, entries }) {
+    const lines = [`# ${title}`, ''];
+
+    for (const { name, result } of entries) {
+        const interpretation = result.analysis?.aiInterpretation;
+        const findings = findingsOf(result);
+
+        lines.push(`## ${name} — ${result.status}`, '');
+        lines.push(`- **URL:** ${result.url ?? ''}`);
+        lines.push(`- **Instructions:** ${result.instructions ?? ''}`);
+        lines.push(`- **Run at:** ${result.timestamp || result.createdAt || ''}`);
+        lines.push(`- **Verification:** ${result.message ?? ''}`);
+        if (captureLine(result)) lines.push(`- **Page health:** ${captureLine(result)}`);
+        if (mocksLine(result)) lines.push(`- **Mocks:** ${mocksLine(result)}`);
+        if (visualLine(result)) lines.push(`- **Visual:** ${visualLine(result)}`);
+        if (accessibilityLine(result)) lines.push(`- **Accessibility:** ${accessibilityLine(result)}`);
+        lines.push('');
+
+        if (interpretation) {
+            lines.push('### AI interpretation', '', interpretation.interpretation || '', '');
+            lines.push(`**Expected outcome:** ${interpretation.expectedOutcome || ''}`, '');
+        }
+
+        if (findings.length) {
+            lines.push('### Steps', '', '| # | Action | Target | Description | Status | Details |', '| --- | --- | --- | --- | --- | --- |');
+            findings.forEach((finding, index) => {
+                const details = findingDetails(finding);
+                lines.push(`| ${index + 1} | ${escapeMarkdown(finding.action.type)} | \`${escapeMarkdown(describeTarget(finding.action.target))}\` | ${escapeMarkdown(finding.action.description)} | ${finding.status} | ${escapeMarkdown(details)} |`);
+            });
+            lines.push('');
+        }
+
+        if (performanceRows(result).length) {
+            lines.push('### Performance', '', `| ${performanceColumns.join(' | ')} |`, `|${' --- |'.repeat(performanceColumns.length)}`);
+            for (const row of performanceRows(result)) {
+                lines.push(`| ${row.map(escapeMarkdown).join(' | ')} |`);
+            }
+            lines.push('');
+        }
+
+        if (result.screenshots?.length) {
+            lines.push('### Screenshots', '');
+            for (const screenshot of result.screenshots) {
+                lines.push(`- [${screenshot.description}](${screenshot.path})`);
+            }
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
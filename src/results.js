@@ -0,0 +1,166 @@
+import { join } from 'path';
+import { readdir, rm, unlink } from 'fs/promises';
+import { dataPath, readJson, writeJson } from './storage.js';
+import { redact } from './secrets.js';
+
+const resultsDir = dataPath('results');
+
+// Statuses of runs that are still in progress; these are never pruned
+const activeStatuses = ['queued', 'running'];
+
+// Retention policy, applied on startup and then periodically
+const retention = {
+    maxAgeDays: Number(process.env.RESULTS_RETENTION_DAYS || 30),
+    maxCount: Number(process.env.RESULTS_MAX_COUNT || 1000),
+};
+const pruneInterval = 60 * 60 * 1000;
+
+// Summaries of every stored result, used for listing and filtering without reading each file
+const index = new Map();
+// Full records of runs in progress, so polling doesn't hit the disk
+const liveResults = new Map();
+// Per-result write chains so updates to the same run land in order
+const pendingWrites = new Map();
+
+const resultFile = id => join(resultsDir, `${id}.json`);
+
+function summarize(id, record, previous) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        type: record.suiteId ? 'suite' : 'analysis',
+        url: record.url || null,
+        status: record.status,
+        message: record.message || '',
+        suiteId: record.suiteId || null,
+        createdAt: previous?.createdAt || record.createdAt || now,
+        updatedAt: now,
+        screenshots: (record.screenshots || []).map(screenshot => screenshot.path),
+    };
+}
+
+export async function initResultsStore() {
+    let files = [];
+    try {
+        files = await readdir(resultsDir);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        const id = file.slice(0, -'.json'.length);
+        const record = await readJson(resultFile(id), null).catch(error => {
+            console.error(`Skipping unreadable result ${file}:`, error.message);
+            return null;
+        });
+        if (!record) continue;
+
+        // A run that was in progress when the server stopped will never finish
+        if (activeStatuses.includes(record.status)) {
+            record.status = 'error';
+            record.message = 'Run interrupted by a server restart';
+            await writeJson(resultFile(id), record);
+        }
+        index.set(id, record.meta || summarize(id, record));
+    }
+
+    console.log(`Loaded ${index.size} stored results from ${resultsDir}`);
+    await pruneResults();
+    setInterval(() => pruneResults().catch(error => console.error('Result pruning failed:', error.message)), pruneInterval).unref();
+}
+
+export function saveResult(id, record) {
+    // Secrets never reach the disk, whichever field they ended up in
+    record = redact(record);
+    const meta = summarize(id, record, index.get(id));
+    const stored = { ...record, id, createdAt: meta.createdAt, meta };
+    index.set(id, meta);
+
+    if (activeStatuses.includes(record.status)) {
+        liveResults.set(id, stored);
+    }
+
+    const write = (pendingWrites.get(id) || Promise.resolve()).then(async () => {
+        await writeJson(resultFile(id), stored);
+        if (!activeStatuses.includes(record.status)) {
+            liveResults.delete(id);
+        }
+    });
+    const settled = write.catch(() => {});
+    pendingWrites.set(id, settled);
+    settled.then(() => {
+        if (pendingWrites.get(id) === settled) pendingWrites.delete(id);
+    });
+    return write;
+}
+
+// The stored result without its index entry (`meta`), whether it is still held in memory or read from disk
+export async function getResult(id) {
+    if (!liveResults.has(id) && !index.has(id)) return null;
+    const { meta, ...record } = liveResults.has(id) ? liveResults.get(id) : await readJson(resultFile(id), {});
+    return record;
+}
+
+// List result summaries, newest first. Filters: url (substring), status, type, from/to (ISO dates on createdAt)
+export function listResults({ page = 1, pageSize = 20, url, status, type, from, to } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+
+    const matches = Array.from(index.values())
+        .filter(meta => !url || (meta.url || '').includes(url))
+        .filter(meta => !status || meta.status === status)
+        .filter(meta => !type || meta.type === type)
+        .filter(meta => fromTime === null || Date.parse(meta.createdAt) >= fromTime)
+        .filter(meta => toTime === null || Date.parse(meta.createdAt) <= toTime)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const start = (page - 1) * pageSize;
+    return {
+        results: matches.slice(start, start + pageSize),
+        page,
+        pageSize,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / pageSize),
+    };
+}
+
+export function isActiveResult(id) {
+    return activeStatuses.includes(index.get(id)?.status);
+}
+
+// Remove a stored result together with its screenshots and artifacts
+export async function deleteResult(id) {
+    const meta = index.get(id);
+    if (!meta) return false;
+
+    index.delete(id);
+    liveResults.delete(id);
+    await (pendingWrites.get(id) || Promise.resolve());
+    await unlink(resultFile(id)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+
+    for (const path of meta.screenshots) {
+        await unlink(join(process.cwd(), 'public', path)).catch(() => {});
+    }
+    await rm(join(process.cwd(), 'public', 'screenshots', id), { recursive: true, force: true });
+    await rm(dataPath('artifacts', id), { recursive: true, force: true });
+    return true;
+}
+
+// Drop finished results older than the retention period, then the oldest beyond the max count
+export async function pruneResults({ maxAgeDays = retention.maxAgeDays, maxCount = retention.maxCount } = {}) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const finished = Array.from(index.values())
+        .filter(meta => !activeStatuses.includes(meta.status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const expired = finished.filter((meta, position) => Date.parse(meta.createdAt) < cutoff || position >= maxCount);
+    for (const meta of expired) {
+        await deleteResult(meta.id);
+    }
+    if (expired.length) {
+        console.log(`Pruned ${expired.length} results past the retention policy`);
+    }
+    return expired.length;
+}
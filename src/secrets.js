@@ -0,0 +1,135 @@
+import { inspect } from 'util';
+import { dataPath, readJson, writeJson } from './storage.js';
+
+// Secrets are referenced as {{secret:NAME}} in instructions, plans and auth profiles. The model only
+// ever sees the placeholder; the value is filled in by executeActions and redacted everywhere else.
+// Values come from QA_SECRET_<NAME> environment variables and from data/secrets.json, managed
+// through the API. Environment variables win.
+
+const secretsFile = dataPath('secrets.json');
+const envPrefix = 'QA_SECRET_';
+const namePattern = /^[A-Za-z0-9_]+$/;
+const placeholderPattern = /\{\{secret:([A-Za-z0-9_]+)\}\}/g;
+
+// Values this short would mangle every log line they appear in, so they are not redacted
+const minRedactedLength = 3;
+
+let stored = null;
+let pendingWrite = Promise.resolve();
+
+export const placeholderFor = name => `{{secret:${name}}}`;
+
+export function isValidSecretName(name) {
+    return typeof name === 'string' && namePattern.test(name);
+}
+
+export async function loadSecrets() {
+    if (!stored) {
+        stored = await readJson(secretsFile, {});
+    }
+    return stored;
+}
+
+// Serialize writes so concurrent requests don't clobber each other
+function saveSecrets() {
+    const write = pendingWrite.then(() => writeJson(secretsFile, stored));
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+function envSecrets() {
+    return Object.fromEntries(Object.entries(process.env)
+        .filter(([key, value]) => key.startsWith(envPrefix) && value)
+        .map(([key, value]) => [key.slice(envPrefix.length), value]));
+}
+
+// All secrets by name. Stored secrets are only known once loadSecrets() has run.
+function allSecrets() {
+    return { ...stored, ...envSecrets() };
+}
+
+export function secretNames() {
+    return Object.keys(allSecrets()).sort();
+}
+
+// Secret names with where they come from; values are never listed
+export async function listSecrets() {
+    await loadSecrets();
+    const fromEnv = envSecrets();
+    return secretNames().map(name => ({ name, source: name in fromEnv ? 'env' : 'store' }));
+}
+
+export async function setSecret(name, value) {
+    await loadSecrets();
+    stored[name] = value;
+    await saveSecrets();
+}
+
+export async function deleteSecret(name) {
+    await loadSecrets();
+    if (!(name in stored)) return false;
+    delete stored[name];
+    await saveSecrets();
+    return true;
+}
+
+// Replace placeholders with their values; used at the moment a value is typed into the page
+export function resolveSecrets(text) {
+    if (typeof text !== 'string') return text;
+    const secrets = allSecrets();
+    return text.replace(placeholderPattern, (placeholder, name) => {
+        if (!(name in secrets)) {
+            throw new Error(`Unknown secret "${name}" in ${placeholder}`);
+        }
+        return secrets[name];
+    });
+}
+
+// Longest values first, so a secret that contains another one is redacted as a whole
+function redactable() {
+    return Object.entries(allSecrets())
+        .filter(([, value]) => typeof value === 'string' && value.length >= minRedactedLength)
+        .sort(([, a], [, b]) => b.length - a.length);
+}
+
+// Replace every secret value in a string with its placeholder
+export function redactText(text) {
+    let redacted = text;
+    for (const [name, value] of redactable()) {
+        redacted = redacted.split(value).join(placeholderFor(name));
+    }
+    return redacted;
+}
+
+// Redact a JSON-serializable value such as a result or an event. Only strings are redacted: keys,
+// numbers and booleans stay as they are, so a secret like "1234" or "status" can't corrupt the value.
+export function redact(value) {
+    if (!redactable().length) return value;
+    return redactValue(value);
+}
+
+function redactValue(value) {
+    if (typeof value === 'string') return redactText(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (!value || typeof value !== 'object') return value;
+    // Dates, errors and the like serialize to something other than their own properties
+    const plain = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    if (plain !== value) return redactValue(plain);
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactValue(entry)]));
+}
+
+// Route console output through redaction, so secrets that end up in logged objects (page content,
+// LLM responses, errors) never reach the logs. Arguments without secrets are logged untouched.
+export function installLogRedaction() {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            if (!redactable().length) return original(...args);
+            original(...args.map(arg => {
+                const text = typeof arg === 'string' ? arg : inspect(arg);
+                const redacted = redactText(text);
+                return redacted === text ? arg : redacted;
+            }));
+        };
+    }
+}
@@ -0,0 +1,307 @@
+// Compact page snapshots for the model: the visible interactive elements, each tagged with a ref
+// (e1, e2, ...) that actions can target as "ref=e1", and an outline of the page's content from the
+// accessibility tree. options.snapshot is { maxTokens, viewportOnly }:
+// - maxTokens: rough size limit of the snapshot text (default 3000); elements in view are kept first
+// - viewportOnly: leave out interactive elements outside the viewport
+// Refs stay on their elements for the life of the document, so a ref in one snapshot still
+// points at the same element in the next.
+
+const defaults = { maxTokens: 3000, viewportOnly: false };
+// Below this there's no room for more than the header
+const minTokens = 200;
+// Share of the budget the interactive elements may take before the outline gets its turn
+const elementShare = 0.6;
+const maxNameLength = 80;
+const maxTextLength = 120;
+
+// Roles listed as interactive elements, so the outline leaves them (and their label text) out
+const interactiveRoles = [
+    'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'combobox', 'listbox', 'slider', 'spinbutton', 'MenuListPopup', 'MenuListOption',
+];
+// Structural roles that add nothing the indentation doesn't already say
+const ignoredRoles = ['generic', 'none', 'presentation', 'RootWebArea', 'WebArea', 'LineBreak', 'InlineTextBox', 'Iframe'];
+
+// Chars per token of typical English and markup; close enough to keep prompts within bounds
+export const estimateTokens = text => Math.ceil(text.length / 4);
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for an invalid options.snapshot value, or null
+export function validateSnapshot(snapshot) {
+    if (!isPlainObject(snapshot)) return '"snapshot" must be an object';
+    if (snapshot.maxTokens !== undefined && !(Number.isInteger(snapshot.maxTokens) && snapshot.maxTokens >= minTokens)) {
+        return `Snapshot "maxTokens" must be an integer of at least ${minTokens}`;
+    }
+    if (snapshot.viewportOnly !== undefined && typeof snapshot.viewportOnly !== 'boolean') return 'Snapshot "viewportOnly" must be true or false';
+    return null;
+}
+
+export function snapshotSettings(snapshot = {}) {
+    return {
+        maxTokens: snapshot.maxTokens ?? defaults.maxTokens,
+        viewportOnly: snapshot.viewportOnly ?? defaults.viewportOnly,
+    };
+}
+
+// Runs in the page: tags the visible interactive elements, including those in open shadow roots,
+// with data-qa-ref and describes them
+function collectElements() {
+    const interactive = [
+        'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary', '[contenteditable=""]', '[contenteditable="true"]',
+        '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]', '[role="tab"]', '[role="menuitem"]',
+        '[role="menuitemcheckbox"]', '[role="menuitemradio"]', '[role="option"]', '[role="combobox"]', '[role="textbox"]',
+        '[role="searchbox"]', '[role="slider"]', '[role="spinbutton"]', '[tabindex]:not([tabindex="-1"])',
+    ].join(', ');
+    const tagRoles = { A: 'link', BUTTON: 'button', SELECT: 'combobox', TEXTAREA: 'textbox', SUMMARY: 'button' };
+    const inputRoles = {
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox',
+        submit: 'button', button: 'button', reset: 'button', image: 'button', file: 'button',
+    };
+    const clean = (value, length) => String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, length);
+
+    const roots = [document];
+    for (let index = 0; index < roots.length; index++) {
+        roots[index].querySelectorAll('*').forEach(element => {
+            if (element.shadowRoot) roots.push(element.shadowRoot);
+        });
+    }
+
+    const roleOf = element => element.getAttribute('role')
+        || (element.tagName === 'INPUT' ? inputRoles[element.type] || 'textbox' : tagRoles[element.tagName])
+        || (element.isContentEditable ? 'textbox' : 'generic');
+
+    const nameOf = element => {
+        const root = element.getRootNode();
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+            .map(id => root.getElementById?.(id)?.textContent || '').join(' ');
+        const labels = Array.from(element.labels || []).map(label => label.textContent).join(' ');
+        const isField = ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+        const own = isField
+            ? element.getAttribute('placeholder') || (['submit', 'button', 'reset'].includes(element.type) ? element.value : '')
+            : element.innerText ?? element.textContent;
+        return clean(element.getAttribute('aria-label') || labelledBy || labels || element.getAttribute('alt') || element.getAttribute('title') || own, 200);
+    };
+
+    const valueOf = element => {
+        if (element.tagName === 'SELECT') return clean(element.selectedOptions[0]?.textContent, 60);
+        if (element.type === 'password') return element.value ? '********' : '';
+        if (['INPUT', 'TEXTAREA'].includes(element.tagName) && !['checkbox', 'radio', 'submit', 'button', 'reset', 'file'].includes(element.type)) {
+            return clean(element.value, 60);
+        }
+        return '';
+    };
+
+    const statesOf = element => {
+        const states = [];
+        if (element.disabled || element.getAttribute('aria-disabled') === 'true') states.push('disabled');
+        if (element.checked || element.getAttribute('aria-checked') === 'true') states.push('checked');
+        if (element.getAttribute('aria-expanded')) states.push(element.getAttribute('aria-expanded') === 'true' ? 'expanded' : 'collapsed');
+        if (element.getAttribute('aria-selected') === 'true') states.push('selected');
+        if (element.required) states.push('required');
+        return states;
+    };
+
+    const elements = [];
+    for (const root of roots) {
+        for (const element of root.querySelectorAll(interactive)) {
+            const rect = element.getBoundingClientRect();
+            // File inputs are often hidden behind a styled label, but uploadFile needs them
+            const isFileInput = element.tagName === 'INPUT' && element.type === 'file';
+            const visible = rect.width > 0 && rect.height > 0
+                && (element.checkVisibility ? element.checkVisibility({ visibilityProperty: true }) : true);
+            if (!visible && !isFileInput) continue;
+
+            if (!element.getAttribute('data-qa-ref')) {
+                window.__aiQaRefCount = (window.__aiQaRefCount || 0) + 1;
+                element.setAttribute('data-qa-ref', `e${window.__aiQaRefCount}`);
+            }
+            const host = element.getRootNode().host;
+            elements.push({
+                ref: element.getAttribute('data-qa-ref'),
+                role: roleOf(element),
+                name: nameOf(element),
+                value: valueOf(element),
+                type: element.tagName === 'INPUT' && !['text', 'submit', 'button', 'checkbox', 'radio'].includes(element.type) ? element.type : '',
+                href: element.tagName === 'A' ? clean(element.getAttribute('href'), 80) : '',
+                states: statesOf(element),
+                inViewport: rect.bottom > 0 && rect.top < window.innerHeight && rect.right > 0 && rect.left < window.innerWidth,
+                shadowHost: host ? host.tagName.toLowerCase() : '',
+            });
+        }
+    }
+
+    return {
+        title: document.title,
+        url: location.href,
+        viewport: {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            scrollY: Math.round(window.scrollY),
+            scrollHeight: document.documentElement.scrollHeight,
+        },
+        iframes: Array.from(document.querySelectorAll('iframe')).map(frame => ({
+            name: frame.name,
+            title: frame.title,
+            src: clean(frame.src, 120),
+        })),
+        elements,
+    };
+}
+
+// Tag the interactive elements of a document without building a snapshot, so ref targets of a
+// replayed plan resolve on pages no snapshot was taken of. Elements are tagged in document order,
+// so the same page gets the same refs.
+export async function ensureRefs(context) {
+    await context.evaluate(collectElements);
+}
+
+// Runs in the page: the attributes of the element tagged `ref` that outlive the page load
+function refAttributes(ref) {
+    const roots = [document];
+    for (let index = 0; index < roots.length; index++) {
+        roots[index].querySelectorAll('*').forEach(element => {
+            if (element.shadowRoot) roots.push(element.shadowRoot);
+        });
+    }
+    for (const root of roots) {
+        const element = root.querySelector(`[data-qa-ref="${ref}"]`);
+        if (!element) continue;
+        const unique = selector => roots.reduce((count, other) => count + other.querySelectorAll(selector).length, 0) === 1;
+        const id = element.id && `#${CSS.escape(element.id)}`;
+        const testId = element.getAttribute('data-testid') && `[data-testid="${CSS.escape(element.getAttribute('data-testid'))}"]`;
+        return { selector: [id, testId].find(selector => selector && unique(selector)) || null, inShadow: root !== document };
+    }
+    return null;
+}
+
+// The target a ref stood for, in a form that still finds the element on a later page load: a unique
+// id or data-testid selector, else the element's role and accessible name. Null when the element is
+// gone or has neither, e.g. an unlabeled icon button.
+export async function stableTargetOf(context, ref) {
+    const attributes = await context.evaluate(refAttributes, ref);
+    if (!attributes) return null;
+    if (attributes.selector) return attributes.inShadow ? `pierce/${attributes.selector}` : attributes.selector;
+    const { elements } = await context.evaluate(collectElements);
+    const element = elements.find(candidate => candidate.ref === ref);
+    return element?.name && element.role !== 'generic' ? { role: element.role, name: element.name } : null;
+}
+
+// Flatten the accessibility tree into indented lines, leaving out interactive nodes (listed as
+// elements) and text that only repeats its parent's name
+function outlineOf(node, depth = 0, lines = [], parentName = '') {
+    if (!node || interactiveRoles.includes(node.role)) return lines;
+    const name = String(node.name ?? '').replace(/\s+/g, ' ').trim();
+    const include = !ignoredRoles.includes(node.role) && name && name !== parentName;
+    if (include) {
+        const role = node.role === 'StaticText' ? 'text' : node.role;
+        const text = name.length > maxTextLength ? `${name.slice(0, maxTextLength)}…` : name;
+        lines.push(`${'  '.repeat(depth)}- ${role} "${text}"${node.level ? ` [level ${node.level}]` : ''}`);
+    }
+    for (const child of node.children || []) {
+        outlineOf(child, include ? depth + 1 : depth, lines, name || parentName);
+    }
+    return lines;
+}
+
+function elementLine(element) {
+    const name = element.name.length > maxNameLength ? `${element.name.slice(0, maxNameLength)}…` : element.name;
+    return [
+        `[${element.ref}] ${element.role} "${name}"`,
+        element.type && `type=${element.type}`,
+        element.value && `value="${element.value}"`,
+        element.href && `href=${element.href}`,
+        ...element.states,
+        element.shadowHost && `in <${element.shadowHost}>`,
+        !element.inViewport && 'offscreen',
+    ].filter(Boolean).join(' ');
+}
+
+// Take lines in order while they fit in `budget` tokens
+function fit(lines, budget) {
+    const kept = [];
+    let used = 0;
+    for (const line of lines) {
+        const cost = estimateTokens(line) + 1;
+        if (used + cost > budget) break;
+        kept.push(line);
+        used += cost;
+    }
+    return { kept, used };
+}
+
+// The accessibility tree of a page, or of a frame's document: frames have no accessibility tree of
+// their own, so theirs is the part of their tab's tree under the frame's root element
+async function accessibilityTree(context) {
+    if (typeof context.mainFrame === 'function') {
+        return context.accessibility.snapshot({ interestingOnly: true });
+    }
+    const root = await context.$('html');
+    try {
+        return root && await context.page().accessibility.snapshot({ interestingOnly: true, root });
+    } finally {
+        await root?.dispose();
+    }
+}
+
+// Snapshot the page or frame `context`. `extraHeader` lines (e.g. open tabs) are added to the header.
+// Resolves with { url, title, viewport, iframes, elements, outline, omitted, tokens, text }, where
+// elements and outline are what fit in the budget and `text` is what the model is shown.
+export async function takeSnapshot(context, settings = snapshotSettings(), extraHeader = []) {
+    const page = await context.evaluate(collectElements);
+    let outline = [];
+    try {
+        outline = outlineOf(await accessibilityTree(context));
+    } catch (error) {
+        console.error('Accessibility snapshot failed:', error.message);
+    }
+
+    const candidates = settings.viewportOnly ? page.elements.filter(element => element.inViewport) : page.elements;
+    const { viewport } = page;
+    const header = [
+        `Page: ${page.title || '(untitled)'} (${page.url})`,
+        `Viewport: ${viewport.width}x${viewport.height}, scrolled to ${viewport.scrollY} of ${viewport.scrollHeight}`,
+        ...page.iframes.map(frame => `Iframe: ${[frame.name && `name=${frame.name}`, frame.title && `title="${frame.title}"`, `src=${frame.src}`].filter(Boolean).join(' ')}`),
+        ...extraHeader,
+    ];
+
+    // Elements in view come first, then the outline, then elements further down with what's left
+    const remaining = settings.maxTokens - estimateTokens(header.join('\n')) - 20;
+    const byPriority = [...candidates.filter(element => element.inViewport), ...candidates.filter(element => !element.inViewport)];
+    const first = fit(byPriority.map(elementLine), Math.floor(remaining * elementShare));
+    const content = fit(outline, remaining - first.used);
+    const rest = fit(byPriority.slice(first.kept.length).map(elementLine), remaining - first.used - content.used);
+    const keptRefs = new Set(byPriority.slice(0, first.kept.length + rest.kept.length).map(element => element.ref));
+    const elements = candidates.filter(element => keptRefs.has(element.ref));
+
+    const offscreen = page.elements.length - candidates.length;
+    const dropped = candidates.length - elements.length;
+    const omitted = { elements: offscreen + dropped, outline: outline.length - content.kept.length };
+    const notes = [
+        offscreen && `${offscreen} interactive elements outside the viewport are not listed; scroll to reach them.`,
+        (dropped || omitted.outline) && `Shortened to fit ${settings.maxTokens} tokens: ${dropped} elements and ${omitted.outline} content lines left out.`,
+    ].filter(Boolean);
+
+    const text = [
+        ...header,
+        '',
+        'Interactive elements (target them as ref=eN):',
+        ...(elements.length ? elements.map(elementLine) : ['(none)']),
+        '',
+        'Content:',
+        ...(content.kept.length ? content.kept : ['(none)']),
+        ...(notes.length ? ['', ...notes] : []),
+    ].join('\n');
+
+    return {
+        url: page.url,
+        title: page.title,
+        viewport,
+        iframes: page.iframes,
+        elements,
+        outline: content.kept,
+        omitted,
+        tokens: estimateTokens(text),
+        text,
+    };
+}
@@ -0,0 +1,27 @@
+import { join, dirname } from 'path';
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+
+// Root directory for everything the runner persists (suites, results, ...)
+export const dataDir = process.env.QA_DATA_DIR || join(process.cwd(), 'data');
+
+export function dataPath(...parts) {
+    return join(dataDir, ...parts);
+}
+
+// Read a JSON file, returning `fallback` when it does not exist yet
+export async function readJson(filepath, fallback) {
+    try {
+        return JSON.parse(await readFile(filepath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw new Error(`Failed to read ${filepath}: ${error.message}`);
+    }
+}
+
+// Write through a temp file so a crash never leaves half-written JSON behind
+export async function writeJson(filepath, value) {
+    await mkdir(dirname(filepath), { recursive: true });
+    const tempPath = `${filepath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(value, null, 2));
+    await rename(tempPath, filepath);
+}
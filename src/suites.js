@@ -0,0 +1,299 @@
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, readJson, writeJson } from './storage.js';
+import { validateMocks } from './mocks.js';
+import { validateVisual } from './visual.js';
+import { validateAccessibility } from './accessibility.js';
+import { validateBudgets } from './performance.js';
+import { validateDeviceSpec, validateMatrix } from './devices.js';
+import { validateSnapshot } from './snapshot.js';
+import { validateVision } from './vision.js';
+import { refOf } from './locators.js';
+
+const suitesFile = dataPath('suites.json');
+
+// Suites are few and small, so they are kept in memory and written through to disk
+let suites = null;
+let pendingWrite = Promise.resolve();
+
+async function loadSuites() {
+    if (!suites) {
+        suites = await readJson(suitesFile, []);
+    }
+    return suites;
+}
+
+// Serialize writes so concurrent requests don't clobber each other
+function saveSuites() {
+    const write = pendingWrite.then(() => writeJson(suitesFile, suites));
+    pendingWrite = write.catch(() => {});
+    return write;
+}
+
+// Returns an error message for an invalid suite payload, or null
+export function validateSuite(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') return 'Request body must be a JSON object';
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return 'Suite "name" is required';
+    }
+    if (body.tests !== undefined) {
+        // Updates only rename or describe a suite; its tests have their own endpoints
+        if (partial) return 'Suite "tests" can\'t be updated here; use the /tests endpoints of the suite';
+        if (!Array.isArray(body.tests)) return 'Suite "tests" must be an array';
+        for (const test of body.tests) {
+            const error = validateTest(test);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+// Returns an error message for an invalid test case payload, or null
+export function validateTest(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') return 'Test case must be a JSON object';
+    for (const field of ['name', 'url', 'instructions']) {
+        if (partial && body[field] === undefined) continue;
+        if (typeof body[field] !== 'string' || !body[field].trim()) return `Test case "${field}" is required`;
+    }
+    if (body.options !== undefined) {
+        const error = validateOptions(body.options);
+        if (error) return error;
+    }
+    if (body.plan !== undefined && body.plan !== null) {
+        return validatePlan(body.plan);
+    }
+    return null;
+}
+
+// options.timeout is in seconds and becomes an AbortSignal.timeout in milliseconds, which can't be shorter than 1
+function validateTimeout(timeout) {
+    return typeof timeout === 'number' && Number.isFinite(timeout) && timeout * 1000 >= 1 ? null : '"timeout" must be a positive number of seconds';
+}
+
+// Returns an error message for invalid run options, or null
+export function validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) return '"options" must be an object';
+    const checks = [['mocks', validateMocks], ['visual', validateVisual], ['accessibility', validateAccessibility], ['budgets', validateBudgets],
+        ['device', validateDeviceSpec], ['matrix', validateMatrix], ['snapshot', validateSnapshot], ['vision', validateVision], ['timeout', validateTimeout]];
+    for (const [name, validate] of checks) {
+        const error = options[name] !== undefined && validate(options[name]);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Returns an error message for an invalid locked plan, or null
+export function validatePlan(plan) {
+    if (!plan || typeof plan !== 'object' || !Array.isArray(plan.actions)) return 'Plan "actions" must be an array';
+    if (!plan.actions.length) return 'Plan must contain at least one action';
+    if (plan.actions.some(action => !action || typeof action.type !== 'string')) return 'Every plan action needs a "type"';
+    // Refs are renumbered on every page load, so in a replay they would silently hit other elements
+    const ref = plan.actions.findIndex(action => refOf(action.target) || refOf(dropTargetOf(action)));
+    if (ref !== -1) {
+        const action = plan.actions[ref];
+        return `Plan action ${ref + 1} targets "${refOf(action.target) ? action.target : action.value}"; refs only hold for one page load, use a selector or { role, name }`;
+    }
+    return null;
+}
+
+// The element a dragAndDrop action drops on is a target too
+const dropTargetOf = action => (action.type === 'dragAndDrop' ? action.value : undefined);
+
+// A ref target replaced with the stable target the run recorded for it
+function lockTarget(target, locator, step) {
+    if (!refOf(target)) return target;
+    if (!locator?.stableTarget) {
+        throw new Error(`Step ${step} targets ${target}, an element without an id, test id or accessible name; it can't be locked as a plan`);
+    }
+    return locator.stableTarget;
+}
+
+// Lock the actions of a passing run so later runs replay them without asking the model. Ref targets
+// are replaced with the stable target the run recorded for them (see stableTargetOf in snapshot.js).
+// Steps that failed or were skipped are left out: a replay fails on any failed step, and a passing
+// run can still have some, e.g. actions the step-mode agent retried.
+export function buildPlanFromResult(result, analysisId) {
+    if (result?.status !== 'success') {
+        throw new Error('Only passing runs can be locked as a plan');
+    }
+    const { interpretation, actions, expectedOutcome } = result.analysis.aiInterpretation;
+    const findings = result.analysis.taskExecution?.findings || [];
+    const locked = actions
+        .map((action, index) => ({ action, index, finding: findings[index] }))
+        .filter(({ finding }) => !finding || finding.status === 'success')
+        .map(({ action, index, finding }) => {
+            const step = { ...action, target: lockTarget(action.target, finding?.locator, index + 1) };
+            if (action.type === 'dragAndDrop') {
+                step.value = lockTarget(action.value, finding?.locator?.drop, index + 1);
+            }
+            return step;
+        });
+    if (!locked.length) {
+        throw new Error('The run has no successful steps to lock as a plan');
+    }
+    return {
+        interpretation,
+        actions: locked,
+        expectedOutcome,
+        lockedAt: new Date().toISOString(),
+        sourceAnalysisId: analysisId,
+    };
+}
+
+function buildTest({ name, url, instructions, options = {}, plan = null }) {
+    const now = new Date().toISOString();
+    return { id: uuidv4(), name, url, instructions, options, plan, createdAt: now, updatedAt: now };
+}
+
+export async function listSuites() {
+    return loadSuites();
+}
+
+export async function getSuite(suiteId) {
+    return (await loadSuites()).find(suite => suite.id === suiteId) || null;
+}
+
+export async function createSuite({ name, description = '', tests = [] }) {
+    await loadSuites();
+    const now = new Date().toISOString();
+    const suite = {
+        id: uuidv4(),
+        name,
+        description,
+        tests: tests.map(buildTest),
+        createdAt: now,
+        updatedAt: now,
+    };
+    suites.push(suite);
+    await saveSuites();
+    return suite;
+}
+
+export async function updateSuite(suiteId, { name, description }) {
+    const suite = await getSuite(suiteId);
+    if (!suite) return null;
+    if (name !== undefined) suite.name = name;
+    if (description !== undefined) suite.description = description;
+    suite.updatedAt = new Date().toISOString();
+    await saveSuites();
+    return suite;
+}
+
+export async function deleteSuite(suiteId) {
+    await loadSuites();
+    const index = suites.findIndex(suite => suite.id === suiteId);
+    if (index === -1) return false;
+    suites.splice(index, 1);
+    await saveSuites();
+    return true;
+}
+
+export async function getTest(suiteId, testId) {
+    const suite = await getSuite(suiteId);
+    return suite?.tests.find(test => test.id === testId) || null;
+}
+
+export async function addTest(suiteId, fields) {
+    const suite = await getSuite(suiteId);
+    if (!suite) return null;
+    const test = buildTest(fields);
+    suite.tests.push(test);
+    suite.updatedAt = test.createdAt;
+    await saveSuites();
+    return test;
+}
+
+export async function updateTest(suiteId, testId, fields) {
+    const suite = await getSuite(suiteId);
+    const test = suite?.tests.find(t => t.id === testId);
+    if (!test) return null;
+    for (const field of ['name', 'url', 'instructions', 'options', 'plan']) {
+        if (fields[field] !== undefined) test[field] = fields[field];
+    }
+    test.updatedAt = suite.updatedAt = new Date().toISOString();
+    await saveSuites();
+    return test;
+}
+
+// Apply selectors healed during a replay to the test's locked plan. Entries whose original
+// selector no longer matches the plan (it was edited since) are skipped.
+export async function acceptHealedSelectors(suiteId, testId, healedSelectors) {
+    const test = await getTest(suiteId, testId);
+    if (!test) return null;
+    if (!test.plan) return { test, applied: [], skipped: healedSelectors };
+
+    const applied = [];
+    const skipped = [];
+    for (const healed of healedSelectors) {
+        const action = test.plan.actions[healed.index];
+        if (action && action.target === healed.originalTarget) {
+            action.target = healed.healedTarget;
+            applied.push(healed);
+        } else {
+            skipped.push(healed);
+        }
+    }
+
+    if (applied.length) {
+        await updateTest(suiteId, testId, { plan: test.plan });
+    }
+    return { test, applied, skipped };
+}
+
+export async function deleteTest(suiteId, testId) {
+    const suite = await getSuite(suiteId);
+    if (!suite) return false;
+    const index = suite.tests.findIndex(test => test.id === testId);
+    if (index === -1) return false;
+    suite.tests.splice(index, 1);
+    suite.updatedAt = new Date().toISOString();
+    await saveSuites();
+    return true;
+}
+
+// Run every test of a suite one after another. `runTest(test)` resolves with
+// { analysisId, result }; `onProgress(run)` is called after each test finishes.
+// Aborting `signal` stops the run before its next test; the run is then marked cancelled
+export async function runSuite(suite, { runTest, onProgress = () => {}, signal }) {
+    const run = {
+        suiteId: suite.id,
+        suiteName: suite.name,
+        status: 'running',
+        message: `Running ${suite.tests.length} tests`,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        summary: { total: suite.tests.length, passed: 0, failed: 0, errors: 0 },
+        tests: [],
+    };
+
+    for (const test of suite.tests) {
+        if (signal?.aborted) break;
+        console.log(`Running suite test "${test.name}" (${test.id})...`);
+        const startedAt = Date.now();
+        const { analysisId, result } = await runTest(test);
+
+        if (result.status === 'success') run.summary.passed++;
+        else if (result.status === 'failed') run.summary.failed++;
+        else run.summary.errors++;
+
+        run.tests.push({
+            testId: test.id,
+            name: test.name,
+            analysisId,
+            status: result.status,
+            message: result.message,
+            durationMs: Date.now() - startedAt,
+        });
+        onProgress(run);
+    }
+
+    const { total, passed } = run.summary;
+    if (signal?.aborted) {
+        run.status = 'cancelled';
+        run.message = `Cancelled after ${run.tests.length}/${total} tests, ${passed} passed`;
+    } else {
+        run.status = passed === total ? 'success' : 'failed';
+        run.message = `${passed}/${total} tests passed`;
+    }
+    run.finishedAt = new Date().toISOString();
+    return run;
+}
@@ -0,0 +1,195 @@
+// Tabs and frames of a run. Actions run in the active tab, inside the frame switchFrame entered;
+// an action's own "tab" and "frame" fields target another one for that action only:
+// - tab: index of an open tab (0 is the page the run started on) or part of its URL or title
+// - frame: selector of an <iframe>, or part of a frame's name or URL; "main" is the top document
+// Tabs and popups the page opens are tracked as they appear, and waitForPopup makes the newest active.
+
+export const tabActionTypes = ['switchTab', 'waitForPopup', 'closeTab', 'switchFrame'];
+
+// How tabs and frames are explained to the model, shared by the plan and step prompts
+export const tabGuide = `Links that open a new tab, popups and iframes need their own actions:
+          - waitForPopup: after the action that opens a tab or popup, waits for it and makes it the active tab; "value" is an optional timeout in ms.
+          - switchTab: "target" is the tab index from the page analysis or part of its URL or title.
+          - closeTab: closes the active tab (or the "target" tab) and returns to the tab that opened it.
+          - switchFrame: "target" is an iframe selector, or part of its name or URL; "parent" and "main" leave the frame.
+          Following actions run in the active tab and frame. A single action can also set "tab" or "frame" to run elsewhere without switching.`;
+
+const defaultPopupTimeout = 10000;
+const frameTimeout = 5000;
+
+const isPage = context => typeof context.mainFrame === 'function';
+
+// Start tracking the tabs of the browser context `page` belongs to. `onOpen` is called with every
+// tab the run opens, e.g. to capture its traffic.
+export function trackTabs(page, { onOpen } = {}) {
+    // Open tabs in opening order; `order` counts every tab ever opened, so waitForPopup can tell new ones
+    const tabs = [{ page, opener: null, order: 0 }];
+    let opened = 0;
+    let claimed = 0;
+    let active = page;
+    let frame = null;
+    const waiters = [];
+
+    page.browserContext().on('targetcreated', async target => {
+        if (target.type() !== 'page') return;
+        const newPage = await target.page().catch(() => null);
+        if (!newPage || tabs.some(tab => tab.page === newPage)) return;
+        const opener = await target.opener()?.page().catch(() => null);
+        const tab = { page: newPage, opener: opener || null, order: ++opened };
+        tabs.push(tab);
+        newPage.once('close', () => closed(newPage));
+        try {
+            onOpen?.(newPage);
+        } catch (error) {
+            console.error('Tab open listener error:', error.message);
+        }
+        waiters.splice(0).forEach(resolve => resolve());
+    });
+    page.once('close', () => closed(page));
+
+    // A tab closed by the page itself (e.g. an OAuth popup) hands control back to its opener
+    function closed(closedPage) {
+        const index = tabs.findIndex(tab => tab.page === closedPage);
+        if (index === -1) return;
+        const [tab] = tabs.splice(index, 1);
+        if (active === closedPage && tabs.length) {
+            active = tabs.find(other => other.page === tab.opener)?.page || tabs[tabs.length - 1].page;
+            frame = null;
+        }
+    }
+
+    function currentFrame() {
+        if (frame?.detached) frame = null;
+        return frame;
+    }
+
+    async function findTab(spec) {
+        if (typeof spec === 'number' || /^\d+$/.test(String(spec))) {
+            const tab = tabs[Number(spec)];
+            if (!tab) throw new Error(`No tab at index ${spec}; ${tabs.length} tab(s) open`);
+            return tab.page;
+        }
+        for (const tab of tabs) {
+            const title = await tab.page.title().catch(() => '');
+            if (tab.page.url().includes(spec) || title.includes(spec)) return tab.page;
+        }
+        throw new Error(`No open tab matches "${spec}"`);
+    }
+
+    // Resolves with the frame `spec` names inside `context`, or null for the top document
+    async function findFrame(context, spec) {
+        if (spec === 'main') return null;
+        const owner = isPage(context) ? context : context.page();
+        const named = owner.frames().find(candidate => candidate !== owner.mainFrame()
+            && (candidate.name() === spec || candidate.url().includes(spec)));
+        if (named) return named;
+
+        let element;
+        try {
+            element = await context.waitForSelector(spec, { timeout: frameTimeout });
+        } catch (error) {
+            throw new Error(`No frame matches "${spec}": ${error.message}`);
+        }
+        const found = await element.contentFrame();
+        await element.dispose();
+        if (!found) throw new Error(`"${spec}" is not an iframe`);
+        return found;
+    }
+
+    function activate(nextPage) {
+        active = nextPage;
+        frame = null;
+        return nextPage.bringToFront().catch(() => {});
+    }
+
+    function location() {
+        const current = currentFrame();
+        return {
+            tab: tabs.findIndex(tab => tab.page === active),
+            url: active.url(),
+            frame: current ? { name: current.name(), url: current.url() } : null,
+        };
+    }
+
+    return {
+        // The active tab
+        get page() {
+            return active;
+        },
+
+        // The active frame, or the active tab when no frame was entered
+        context() {
+            return currentFrame() || active;
+        },
+
+        // The page or frame an action runs in
+        async resolve(action) {
+            const tabPage = action.tab !== undefined && action.tab !== null ? await findTab(action.tab) : active;
+            const base = tabPage === active ? currentFrame() || active : tabPage;
+            if (action.frame === undefined || action.frame === null) return base;
+            return (await findFrame(base, String(action.frame))) || tabPage;
+        },
+
+        async switchTab(action) {
+            await activate(await findTab(action.target));
+            return location();
+        },
+
+        async waitForPopup(action) {
+            const timeout = Number(action.value) || defaultPopupTimeout;
+            const deadline = Date.now() + timeout;
+            let popup;
+            while (!(popup = tabs.find(tab => tab.order > claimed))) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) throw new Error(`No new tab or popup opened within ${timeout}ms`);
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, remaining);
+                    waiters.push(() => {
+                        clearTimeout(timer);
+                        resolve();
+                    });
+                });
+            }
+            claimed = popup.order;
+            await activate(popup.page);
+            await popup.page.waitForNetworkIdle({ idleTime: 500, timeout: 5000 }).catch(() => {});
+            return location();
+        },
+
+        async closeTab(action) {
+            const target = action.target !== undefined && action.target !== null ? await findTab(action.target) : active;
+            if (tabs.length === 1) throw new Error('The last open tab cannot be closed');
+            const wasActive = target === active;
+            await target.close();
+            // The close event may arrive after close() resolves
+            closed(target);
+            if (wasActive) await active.bringToFront().catch(() => {});
+            return location();
+        },
+
+        async switchFrame(action) {
+            const spec = String(action.target ?? 'main');
+            if (spec === 'parent') {
+                frame = currentFrame()?.parentFrame() || null;
+                if (frame === active.mainFrame()) frame = null;
+            } else {
+                frame = await findFrame(currentFrame() || active, spec);
+            }
+            return location();
+        },
+
+        // Open tabs and the active frame, for the page analysis and the results
+        async describe() {
+            const current = currentFrame();
+            return {
+                tabs: await Promise.all(tabs.map(async (tab, index) => ({
+                    index,
+                    url: tab.page.url(),
+                    title: await tab.page.title().catch(() => ''),
+                    active: tab.page === active,
+                }))),
+                frame: current ? { name: current.name(), url: current.url() } : null,
+            };
+        },
+    };
+}
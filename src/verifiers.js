@@ -0,0 +1,125 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// Verifiers judge the outcome of runs without assertions. Each one is
+// { name, description, appliesTo(context), verify(context) } where verify resolves with { success, message }.
+// The context is { instructions, expectedOutcome, actionResults, extractResults, pageContent, pageTitle },
+// with pageContent lowercased. The first verifier that applies decides the run; when none does,
+// the LLM is asked instead.
+
+const ipRegex = {
+    ipv4: /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/,
+    ipv6: /^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/
+};
+
+const builtInVerifiers = [
+    {
+        name: 'ipAddress',
+        description: 'An extracted IPv4 or IPv6 address, for instructions about an IP address',
+        appliesTo: ({ instructions }) => instructions.toLowerCase().includes('ip address'),
+        verify: ({ extractResults }) => {
+            // Targets may be { role, name } objects, and list extractions return arrays
+            const ipData = extractResults.find(r => typeof r.data === 'string' && typeof r.action.target === 'string' && r.action.target.includes('ip'));
+            if (!ipData || !ipData.data) {
+                return { success: false, message: 'Test failed: No valid IP address extracted' };
+            }
+            const ipText = ipData.data.replace(/My Public IPv[4|6]:/, '').trim();
+            if (ipRegex.ipv4.test(ipText) || ipRegex.ipv6.test(ipText)) {
+                return { success: true, message: `Test successful: IP address ${ipText} extracted` };
+            }
+            return { success: false, message: `Test failed: Extracted data '${ipText}' is not a valid IP address` };
+        },
+    },
+    {
+        name: 'searchResults',
+        description: 'A non-empty extracted list, for search instructions',
+        appliesTo: ({ instructions }) => instructions.toLowerCase().includes('search'),
+        verify: ({ extractResults }) => {
+            const searchData = extractResults.find(r => r.action.value === 'list');
+            if (searchData && searchData.data && searchData.data.length > 0) {
+                return { success: true, message: `Test successful: ${searchData.data.length} search results extracted` };
+            }
+            return { success: false, message: 'Test failed: No search results extracted' };
+        },
+    },
+    {
+        name: 'screenshot',
+        description: 'At least one screenshot action, for screenshot instructions',
+        appliesTo: ({ instructions }) => instructions.toLowerCase().includes('screenshot'),
+        verify: ({ actionResults }) => {
+            const screenshotResults = actionResults.filter(result => result.action.type === 'screenshot');
+            if (screenshotResults.length > 0) {
+                return { success: true, message: `Test successful: ${screenshotResults.length} screenshots captured` };
+            }
+            return { success: false, message: 'Test failed: No screenshots captured' };
+        },
+    },
+    {
+        name: 'extraction',
+        description: 'Every extract action returned data',
+        appliesTo: ({ extractResults }) => extractResults.length > 0 && extractResults.every(r => r.status === 'success' && r.data),
+        verify: () => ({ success: true, message: 'Test successful: All extractions completed' }),
+    },
+];
+
+// Registered verifiers are consulted before the built-in ones
+const customVerifiers = [];
+
+function validateVerifier(verifier) {
+    if (!verifier || typeof verifier !== 'object') return 'Verifier must be an object';
+    if (typeof verifier.name !== 'string' || !verifier.name) return 'Verifier needs a "name"';
+    if (typeof verifier.appliesTo !== 'function') return `Verifier "${verifier.name}" needs an appliesTo(context) function`;
+    if (typeof verifier.verify !== 'function') return `Verifier "${verifier.name}" needs a verify(context) function`;
+    return null;
+}
+
+// Register a verifier; one with the same name as an existing custom verifier replaces it
+export function registerVerifier(verifier) {
+    const problem = validateVerifier(verifier);
+    if (problem) {
+        throw new Error(problem);
+    }
+    const index = customVerifiers.findIndex(existing => existing.name === verifier.name);
+    if (index === -1) {
+        customVerifiers.push(verifier);
+    } else {
+        customVerifiers[index] = verifier;
+    }
+}
+
+export function listVerifiers() {
+    return [...customVerifiers, ...builtInVerifiers].map(({ name, description }) => ({ name, description: description || '' }));
+}
+
+// Import verifier modules, by default from QA_VERIFIERS (comma-separated paths relative to the working
+// directory). A module's default export is a verifier or an array of verifiers.
+export async function loadVerifierModules(paths = process.env.QA_VERIFIERS) {
+    const files = (paths || '').split(',').map(path => path.trim()).filter(Boolean);
+    for (const file of files) {
+        const module = await import(pathToFileURL(resolve(file)).href);
+        const verifiers = [].concat(module.default ?? []);
+        if (!verifiers.length) {
+            throw new Error(`Verifier module ${file} has no default export`);
+        }
+        for (const verifier of verifiers) {
+            try {
+                registerVerifier(verifier);
+            } catch (error) {
+                throw new Error(`Invalid verifier in ${file}: ${error.message}`);
+            }
+        }
+        console.log(`Loaded verifiers from ${file}: ${verifiers.map(verifier => verifier.name).join(', ')}`);
+    }
+}
+
+// The first verifier that applies to the run, or null when the LLM has to decide
+export async function findVerifier(context) {
+    for (const verifier of [...customVerifiers, ...builtInVerifiers]) {
+        try {
+            if (await verifier.appliesTo(context)) return verifier;
+        } catch (error) {
+            console.error(`Verifier "${verifier.name}" appliesTo failed:`, error.message);
+        }
+    }
+    return null;
+}
@@ -0,0 +1,57 @@
+// Vision mode: with options.vision set to true, the model also gets a screenshot of the viewport
+// when it plans, picks the next step and verifies the outcome, and plans can click at coordinates
+// in that screenshot (clickAt) for canvas-heavy or poorly labeled UIs. It needs a provider that
+// reads images.
+
+// JPEG keeps a full HD viewport at a fraction of the PNG size, which is what providers bill for
+const screenshotQuality = 70;
+
+// Returns an error message for an invalid options.vision value, or null
+export function validateVision(vision) {
+    return typeof vision === 'boolean' ? null : '"vision" must be true or false';
+}
+
+// Fail early when the run's provider can't be sent images
+export function requireVision(provider) {
+    if (!provider.vision) {
+        throw new Error(`${provider.label} can't read screenshots; vision mode needs a provider with image input`);
+    }
+}
+
+// Screenshot of the viewport for the model, as { mimeType, data (base64), width, height, scale }.
+// width and height are in screenshot pixels, `scale` is how many of them make a CSS pixel.
+export async function captureForModel(page) {
+    const { width, height, scale } = await page.evaluate(() => ({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        scale: window.devicePixelRatio,
+    }));
+    const data = await page.screenshot({ encoding: 'base64', type: 'jpeg', quality: screenshotQuality });
+    return { mimeType: 'image/jpeg', data, width: Math.round(width * scale), height: Math.round(height * scale), scale };
+}
+
+// How the attached screenshot and clickAt are explained to the model, shared by the prompts that send one
+export function visionGuide(image) {
+    return `A screenshot of the current viewport is attached (${image.width}x${image.height} pixels). Use it together with the page snapshot to understand the layout and what is visible.
+          - clickAt: "x" and "y" are pixel coordinates in the screenshot. Only use it for elements the snapshot can't target, such as canvas content, maps or unlabeled icons.`;
+}
+
+// Click at screenshot coordinates. Resolves with the CSS pixel point and the element that was hit.
+export async function clickAt(page, action) {
+    const { x, y } = action;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error('clickAt needs numeric "x" and "y" screenshot coordinates');
+    }
+    const scale = await page.evaluate(() => window.devicePixelRatio);
+    const point = { x: Math.round(x / scale), y: Math.round(y / scale) };
+    // Recorded on the finding, so a coordinate click can be checked after the fact
+    const element = await page.evaluate(({ x, y }) => {
+        const hit = document.elementFromPoint(x, y);
+        return hit ? { tag: hit.tagName.toLowerCase(), id: hit.id, text: (hit.innerText ?? hit.textContent ?? '').trim().slice(0, 80) } : null;
+    }, point);
+    if (!element) {
+        throw new Error(`Nothing to click at ${x},${y}; the point is outside the viewport`);
+    }
+    await page.mouse.click(point.x, point.y);
+    return { ...point, element };
+}
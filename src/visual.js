@@ -0,0 +1,203 @@
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { mkdir, readFile, writeFile, copyFile, readdir, rm } from 'fs/promises';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { dataPath } from './storage.js';
+
+// Visual regression: the screenshots of a run are compared with the baseline images of its test,
+// stored as data/baselines/<baseline>/<screenshot id>.png. options.visual is true or
+// { baseline, threshold, maxDiffRatio, ignore, screenshots, update }:
+// - baseline: name of the baseline set; defaults to the suite test, or to the URL and instructions
+// - threshold: per-pixel color sensitivity from 0 to 1 (default 0.1)
+// - maxDiffRatio: share of differing pixels a screenshot may have and still match (default 0.001)
+// - ignore: [{ x, y, width, height, screenshot }] regions left out of the comparison, for one screenshot or all
+// - screenshots: ids of the screenshots to compare (default all)
+// - update: store the new screenshots as the baseline instead of comparing
+
+const defaults = { threshold: 0.1, maxDiffRatio: 0.001 };
+const baselinesDir = dataPath('baselines');
+const namePattern = /^[\w.-]+$/;
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const publicFile = path => join(process.cwd(), 'public', path);
+const baselineFile = (baseline, id) => join(baselinesDir, baseline, `${id.replace(/[^\w.-]/g, '_')}.png`);
+
+export const isValidBaselineName = name => typeof name === 'string' && namePattern.test(name);
+
+// Returns an error message for an invalid options.visual value, or null
+export function validateVisual(visual) {
+    if (visual === true || visual === false) return null;
+    if (!isPlainObject(visual)) return '"visual" must be true or an object';
+    if (visual.baseline !== undefined && !isValidBaselineName(visual.baseline)) return 'Visual "baseline" may only contain letters, digits, ".", "_" and "-"';
+    if (visual.threshold !== undefined && !(visual.threshold >= 0 && visual.threshold <= 1)) return 'Visual "threshold" must be between 0 and 1';
+    if (visual.maxDiffRatio !== undefined && !(visual.maxDiffRatio >= 0 && visual.maxDiffRatio <= 1)) return 'Visual "maxDiffRatio" must be between 0 and 1';
+    if (visual.screenshots !== undefined && !(Array.isArray(visual.screenshots) && visual.screenshots.every(id => typeof id === 'string'))) {
+        return 'Visual "screenshots" must be an array of screenshot ids';
+    }
+    if (visual.ignore !== undefined) {
+        if (!Array.isArray(visual.ignore)) return 'Visual "ignore" must be an array of regions';
+        const invalid = visual.ignore.find(region => !isPlainObject(region)
+            || !['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]) && region[key] >= 0));
+        if (invalid !== undefined) return 'Every ignored region needs a non-negative "x", "y", "width" and "height"';
+    }
+    return null;
+}
+
+// The settings of a run with visual checks, or null when they are off
+export function visualSettings(visual, url, instructions) {
+    if (!visual) return null;
+    const settings = visual === true ? {} : visual;
+    const baseline = settings.baseline
+        || `page-${createHash('sha1').update(`${url}\n${instructions}`).digest('hex').slice(0, 12)}`;
+    return {
+        threshold: settings.threshold ?? defaults.threshold,
+        maxDiffRatio: settings.maxDiffRatio ?? defaults.maxDiffRatio,
+        ignore: settings.ignore || [],
+        screenshots: settings.screenshots || null,
+        update: settings.update === true,
+        baseline,
+    };
+}
+
+async function readBaseline(file) {
+    try {
+        return PNG.sync.read(await readFile(file));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Copy `image` onto a transparent canvas of the given size
+function onCanvas(image, width, height) {
+    if (image.width === width && image.height === height) return image;
+    const canvas = new PNG({ width, height });
+    PNG.bitblt(image, canvas, 0, 0, image.width, image.height, 0, 0);
+    return canvas;
+}
+
+// Blank out the ignored regions in both images so they never differ
+function maskRegions(images, regions, width, height) {
+    for (const region of regions) {
+        const right = Math.min(width, region.x + region.width);
+        const bottom = Math.min(height, region.y + region.height);
+        for (let y = region.y; y < bottom; y++) {
+            for (let x = region.x; x < right; x++) {
+                const offset = (y * width + x) * 4;
+                for (const image of images) image.data.fill(0, offset, offset + 4);
+            }
+        }
+    }
+}
+
+async function writeDiff(diff, id, runId) {
+    const folder = runId ? ['screenshots', runId] : ['screenshots'];
+    const filename = `diff_${id.replace(/[^\w.-]/g, '_')}_${Date.now()}.png`;
+    await mkdir(join(process.cwd(), 'public', ...folder), { recursive: true });
+    await writeFile(join(process.cwd(), 'public', ...folder, filename), PNG.sync.write(diff));
+    return `/${folder.join('/')}/${filename}`;
+}
+
+async function compareScreenshot(screenshot, settings, runId) {
+    const file = baselineFile(settings.baseline, screenshot.id);
+    const base = { screenshot: screenshot.id, path: screenshot.path };
+
+    if (settings.update) {
+        await mkdir(join(baselinesDir, settings.baseline), { recursive: true });
+        await copyFile(publicFile(screenshot.path), file);
+        return { ...base, status: 'updated', message: 'Stored as the new baseline' };
+    }
+
+    const baseline = await readBaseline(file);
+    if (!baseline) {
+        await mkdir(join(baselinesDir, settings.baseline), { recursive: true });
+        await copyFile(publicFile(screenshot.path), file);
+        return { ...base, status: 'new', message: 'No baseline yet; this screenshot is now the baseline' };
+    }
+
+    const actual = PNG.sync.read(await readFile(publicFile(screenshot.path)));
+    const width = Math.max(actual.width, baseline.width);
+    const height = Math.max(actual.height, baseline.height);
+    const images = [onCanvas(baseline, width, height), onCanvas(actual, width, height)];
+    const regions = settings.ignore.filter(region => !region.screenshot || region.screenshot === screenshot.id);
+    maskRegions(images, regions, width, height);
+
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(images[0].data, images[1].data, diff.data, width, height, { threshold: settings.threshold });
+    const diffRatio = diffPixels / (width * height);
+    const resized = actual.width !== baseline.width || actual.height !== baseline.height;
+    const comparison = { ...base, diffPixels, diffRatio: Number(diffRatio.toFixed(6)) };
+
+    if (!resized && diffRatio <= settings.maxDiffRatio) {
+        return { ...comparison, status: 'match', message: `${diffPixels} pixels differ` };
+    }
+    const message = resized
+        ? `Size changed from ${baseline.width}x${baseline.height} to ${actual.width}x${actual.height}; ${diffPixels} pixels differ`
+        : `${diffPixels} pixels differ (${(diffRatio * 100).toFixed(2)}%, at most ${(settings.maxDiffRatio * 100).toFixed(2)}% allowed)`;
+    return { ...comparison, status: 'changed', message, diff: await writeDiff(diff, screenshot.id, runId) };
+}
+
+// Compare the screenshots of a run with their baselines. Repeated ids get a numbered suffix
+// (action, action-2, ...) so every screenshot has a baseline of its own.
+export async function compareScreenshots(screenshots, settings, runId) {
+    const seen = new Map();
+    const comparisons = [];
+    for (const screenshot of screenshots) {
+        const count = (seen.get(screenshot.id) || 0) + 1;
+        seen.set(screenshot.id, count);
+        const id = count > 1 ? `${screenshot.id}-${count}` : screenshot.id;
+        if (settings.screenshots && !settings.screenshots.includes(id)) continue;
+
+        try {
+            comparisons.push(await compareScreenshot({ ...screenshot, id }, settings, runId));
+        } catch (error) {
+            console.error(`Visual comparison of screenshot "${id}" failed:`, error.message);
+            comparisons.push({ screenshot: id, path: screenshot.path, status: 'error', message: error.message });
+        }
+    }
+    return { baseline: settings.baseline, comparisons };
+}
+
+// Failure messages for screenshots that no longer match their baseline
+export function visualFailures(visual) {
+    return visual.comparisons
+        .filter(comparison => comparison.status === 'changed' || comparison.status === 'error')
+        .map(comparison => `screenshot "${comparison.screenshot}" ${comparison.status === 'changed' ? 'differs from its baseline' : 'could not be compared'}: ${comparison.message}`);
+}
+
+// Make the screenshots of a finished run the new baseline. Without `ids`, every screenshot that
+// changed is approved. Resolves with the approved ids.
+export async function approveBaselines(visual, ids) {
+    const approved = [];
+    await mkdir(join(baselinesDir, visual.baseline), { recursive: true });
+    for (const comparison of visual.comparisons) {
+        if (ids ? !ids.includes(comparison.screenshot) : comparison.status !== 'changed') continue;
+        await copyFile(publicFile(comparison.path), baselineFile(visual.baseline, comparison.screenshot));
+        comparison.status = 'approved';
+        approved.push(comparison.screenshot);
+    }
+    return approved;
+}
+
+export async function listBaselines() {
+    let names = [];
+    try {
+        names = await readdir(baselinesDir);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const baselines = [];
+    for (const name of names.sort()) {
+        const files = await readdir(join(baselinesDir, name)).catch(() => []);
+        baselines.push({ name, screenshots: files.filter(file => file.endsWith('.png')).map(file => file.slice(0, -'.png'.length)) });
+    }
+    return baselines;
+}
+
+export async function deleteBaseline(name) {
+    const baselines = await listBaselines();
+    if (!baselines.some(baseline => baseline.name === name)) return false;
+    await rm(join(baselinesDir, name), { recursive: true, force: true });
+    return true;
+}
@@ -0,0 +1,77 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAssertion, verifyAssertions, lastAttempts } from '../src/assertions.js';
+import { openFakePage } from './helpers/fakeBrowser.js';
+
+let page;
+
+before(async () => {
+    page = await openFakePage(`<!DOCTYPE html>
+        <html><head><title>Cart</title></head>
+        <body>
+            <h1 id="heading">Your   cart</h1>
+            <ul><li class="item">Tea</li><li class="item">Milk</li><li class="item">Bread</li></ul>
+            <input id="qty" value="3">
+            <a id="checkout" href="/checkout" data-state="ready">Checkout</a>
+            <div id="banner" style="display: none">Sale</div>
+        </body></html>`, 'https://shop.test/cart?step=1');
+});
+
+// Failing assertions retry until their timeout; none is needed on a page that doesn't change
+const check = action => runAssertion(page, { timeout: 0, ...action });
+
+test('assertText matches normalized text, exactly or by regex', async () => {
+    assert.equal((await check({ type: 'assertText', target: '#heading', value: 'cart' })).status, 'success');
+    assert.equal((await check({ type: 'assertText', target: '#heading', value: 'Your cart', match: 'equals' })).status, 'success');
+    assert.equal((await check({ type: 'assertText', target: '#heading', value: '^Your\\s+cart$', match: 'regex' })).status, 'success');
+    assert.equal((await check({ type: 'assertText', target: 'page', value: 'Bread' })).status, 'success');
+
+    const failed = await check({ type: 'assertText', target: '#heading', value: 'Empty' });
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.expected, 'Empty');
+    assert.match(failed.error, /assertText #heading failed: expected "Empty" but got "Your {3}cart"/);
+});
+
+test('assertCount accepts numbers and comparisons', async () => {
+    assert.equal((await check({ type: 'assertCount', target: '.item', value: 3 })).status, 'success');
+    assert.equal((await check({ type: 'assertCount', target: '.item', value: '>= 2' })).status, 'success');
+    assert.equal((await check({ type: 'assertCount', target: '.item', value: '< 3' })).status, 'failed');
+    await assert.rejects(check({ type: 'assertCount', target: '.item', value: 'many' }), /Invalid assertCount value "many"/);
+});
+
+test('assertVisible and assertHidden go by the computed style', async () => {
+    assert.equal((await check({ type: 'assertVisible', target: '#checkout' })).status, 'success');
+    assert.equal((await check({ type: 'assertHidden', target: '#banner' })).status, 'success');
+    assert.equal((await check({ type: 'assertHidden', target: '#missing' })).actual, 'missing');
+    assert.equal((await check({ type: 'assertVisible', target: '#banner' })).status, 'failed');
+});
+
+test('assertUrl, assertAttribute and assertValue read the page', async () => {
+    assert.equal((await check({ type: 'assertUrl', value: 'step=1' })).status, 'success');
+    assert.equal((await check({ type: 'assertAttribute', target: '#checkout', attribute: 'data-state', value: 'ready' })).status, 'success');
+    assert.equal((await check({ type: 'assertAttribute', target: '#checkout', attribute: 'href' })).status, 'success');
+    assert.equal((await check({ type: 'assertAttribute', target: '#checkout', attribute: 'target' })).status, 'failed');
+    assert.equal((await check({ type: 'assertValue', target: '#qty', value: '3' })).status, 'success');
+});
+
+test('assertions missing what they need fail without reading the page', async () => {
+    assert.equal((await check({ type: 'assertText', value: 'x' })).error, 'assertText needs a "target" selector');
+    assert.equal((await check({ type: 'assertAttribute', target: '#checkout' })).error, 'assertAttribute needs an "attribute" name');
+    assert.equal((await check({ type: 'assertUrl' })).error, 'assertUrl needs an expected "value"');
+});
+
+test('verifyAssertions passes only when every assertion passed', () => {
+    assert.deepEqual(verifyAssertions([{ status: 'success' }, { status: 'success' }]), {
+        success: true,
+        message: 'Test successful: all 2 assertions passed',
+    });
+    const failed = verifyAssertions([{ status: 'success' }, { status: 'failed', error: 'assertUrl failed' }]);
+    assert.equal(failed.success, false);
+    assert.equal(failed.message, 'Test failed: 1 of 2 assertions failed. assertUrl failed');
+});
+
+test('lastAttempts keeps the last result of each assertion, whatever its description', () => {
+    const attempt = (value, status, description) => ({ action: { type: 'assertText', target: '#status', value, description }, status });
+    const results = [attempt('Done', 'failed', 'first'), attempt('Saved', 'success'), attempt('Done', 'success', 'again')];
+    assert.deepEqual(lastAttempts(results), [results[1], results[2]]);
+});
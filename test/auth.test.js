@@ -0,0 +1,67 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveAuthProfile, maskProfile, applyAuthProfile, validateAuthProfile } from '../src/auth.js';
+
+const profile = {
+    description: 'Staging',
+    cookies: [{ name: 'session', value: 'cookie-value', domain: 'app.test' }],
+    origins: [{ origin: 'https://app.test', localStorage: { token: 'storage-value' } }],
+    httpCredentials: { username: 'qa', password: '{{secret:BASIC_PASSWORD}}' },
+    headers: { Authorization: 'Bearer {{secret:API_TOKEN}}', 'X-Team': 'qa' },
+};
+
+// Records what a profile applies to a page
+function recordingPage() {
+    const applied = {};
+    return {
+        applied,
+        async authenticate(credentials) { applied.credentials = credentials; },
+        async setExtraHTTPHeaders(headers) { applied.headers = headers; },
+        async setCookie(...cookies) { applied.cookies = cookies; },
+        async evaluateOnNewDocument(fn, origins) { applied.origins = origins; },
+    };
+}
+
+afterEach(() => {
+    for (const key of Object.keys(process.env).filter(key => key.startsWith('QA_SECRET_'))) delete process.env[key];
+});
+
+test('profiles are returned without credential values or login state', async () => {
+    assert.equal(validateAuthProfile(profile), null);
+    const saved = await saveAuthProfile('staging', profile);
+    const shown = maskProfile({ ...saved, loginState: { capturedAt: '2026-01-01T00:00:00.000Z', cookies: [], origins: [] } });
+
+    assert.equal(shown.loginState, undefined);
+    assert.equal(shown.loggedInAt, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual(shown.httpCredentials, { username: 'qa', password: '********' });
+    assert.deepEqual(shown.headers, { Authorization: '********', 'X-Team': '********' });
+    assert.deepEqual(shown.cookies, [{ name: 'session', value: '********', domain: 'app.test' }]);
+    assert.deepEqual(shown.origins, [{ origin: 'https://app.test', localStorage: { token: '********' } }]);
+    assert.ok(!JSON.stringify(shown).includes('cookie-value'));
+});
+
+test('profiles without credentials are shown as they are', async () => {
+    const shown = maskProfile(await saveAuthProfile('public', { description: 'No auth' }));
+    assert.equal(shown.httpCredentials, null);
+    assert.equal(shown.headers, null);
+    assert.deepEqual(shown.cookies, []);
+});
+
+test('secret placeholders in a profile are resolved when it is applied', async () => {
+    process.env.QA_SECRET_BASIC_PASSWORD = 'basic-pass';
+    process.env.QA_SECRET_API_TOKEN = 'token-123';
+    await saveAuthProfile('staging', profile);
+    const page = recordingPage();
+
+    assert.deepEqual(await applyAuthProfile(page, 'staging', { runLogin: async () => {} }), { profile: 'staging', loggedIn: false });
+    assert.deepEqual(page.applied.credentials, { username: 'qa', password: 'basic-pass' });
+    assert.deepEqual(page.applied.headers, { Authorization: 'Bearer token-123', 'X-Team': 'qa' });
+    assert.equal(page.applied.cookies[0].value, 'cookie-value');
+    assert.deepEqual(page.applied.origins[0].localStorage, { token: 'storage-value' });
+});
+
+test('a profile naming an unknown secret fails instead of sending the placeholder', async () => {
+    await saveAuthProfile('staging', profile);
+    await assert.rejects(applyAuthProfile(recordingPage(), 'staging', { runLogin: async () => {} }), /Unknown secret "BASIC_PASSWORD"/);
+});
@@ -0,0 +1,50 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandMatrix, validateMatrix, validateDeviceProfile, resolveDeviceProfile, saveDeviceProfile } from '../src/devices.js';
+
+test('a matrix expands into every combination, labeled and slugged', () => {
+    const combinations = expandMatrix({ device: ['mobile', 'desktop'], locale: ['en-US', 'de-DE'] });
+    assert.deepEqual(combinations.map(combination => combination.label), [
+        'mobile / en-US', 'mobile / de-DE', 'desktop / en-US', 'desktop / de-DE',
+    ]);
+    assert.equal(combinations[1].slug, 'mobile-de-de');
+    assert.deepEqual(combinations[1].device, { extends: 'mobile', locale: 'de-DE', name: 'mobile / de-DE' });
+});
+
+test('a matrix without a device dimension extends the base device', () => {
+    const [light, dark] = expandMatrix({ colorScheme: ['light', 'dark'] }, 'tablet');
+    assert.deepEqual(dark.device, { extends: 'tablet', colorScheme: 'dark', name: 'dark' });
+    assert.equal(light.slug, 'light');
+});
+
+test('inline devices and network conditions are labeled by name', () => {
+    const [combination] = expandMatrix({ device: [{ name: 'Kiosk', viewport: { width: 1080, height: 1920 } }], network: [{ download: 1, upload: 1, latency: 1 }] });
+    assert.equal(combination.label, 'Kiosk / custom network');
+});
+
+test('matrices are validated by dimension and size', () => {
+    assert.equal(validateMatrix({ device: ['mobile'], locale: ['en-US'] }), null);
+    assert.equal(validateMatrix({}), 'Matrix needs at least one dimension');
+    assert.match(validateMatrix({ browser: ['firefox'] }), /Unknown matrix dimension "browser"/);
+    assert.equal(validateMatrix({ locale: [] }), 'Matrix "locale" must be a non-empty array');
+    assert.equal(validateMatrix({ colorScheme: ['sepia'] }), 'Device "colorScheme" must be light or dark');
+    const many = Array.from({ length: 5 }, (_, index) => `en-${index}`);
+    assert.match(validateMatrix({ locale: many, timezone: many }), /25 combinations; at most 20/);
+});
+
+test('device profiles are validated field by field', () => {
+    assert.equal(validateDeviceProfile({ viewport: { width: 390, height: 844 }, locale: 'en-GB' }), null);
+    assert.equal(validateDeviceProfile({ viewport: { width: -1 } }), 'Device viewport "width" must be a positive integer');
+    assert.match(validateDeviceProfile({ geolocation: { latitude: 100, longitude: 0 } }), /latitude/);
+    assert.match(validateDeviceProfile({ network: 'Dial-up' }), /Device "network" must be one of/);
+    assert.match(validateDeviceProfile({ cpuThrottling: 0.5 }), /at least 1/);
+});
+
+test('custom profiles extend others and merge their viewports', async () => {
+    await saveDeviceProfile('retina-mobile', { extends: 'mobile', viewport: { deviceScaleFactor: 3 } });
+    const profile = await resolveDeviceProfile('retina-mobile');
+    assert.equal(profile.name, 'retina-mobile');
+    assert.deepEqual(profile.viewport, { width: 375, height: 812, isMobile: true, hasTouch: true, deviceScaleFactor: 3 });
+    await assert.rejects(resolveDeviceProfile('no-such-device'), /Unknown device "no-such-device"/);
+});
@@ -0,0 +1,29 @@
+// A map page only a screenshot can make sense of: the city markers are drawn on a canvas, so the
+// page snapshot lists nothing to click. Clicking the canvas at Berlin (CSS pixel 200,150) selects it.
+export const visionUrl = 'https://maps.test/';
+
+export const visionPage = `<!DOCTYPE html>
+<html><head><title>City map</title></head>
+<body>
+    <h1>Pick a city</h1>
+    <canvas id="map" data-rect="100,100,300,200" onclick="document.querySelector('#picked').textContent = 'Berlin picked'"></canvas>
+    <p id="picked" data-rect="0,400,300,20">Nothing picked yet</p>
+</body></html>`;
+
+// A device with twice as many screenshot pixels as CSS pixels, so coordinates have to be scaled
+export const visionDevice = { name: 'retina', viewport: { width: 800, height: 600, deviceScaleFactor: 2 } };
+
+// What the mock provider answers: a plan that clicks Berlin by its screenshot coordinates, and a
+// verification that accepts the outcome. Without assertions, the run is verified by the model.
+export const visionResponses = {
+    plan: {
+        interpretation: 'Pick Berlin on the map',
+        actions: [{ type: 'clickAt', x: 400, y: 300, description: 'Click the Berlin marker' }],
+        expectedOutcome: 'Berlin is picked',
+    },
+    step: [
+        { status: 'continue', reasoning: 'Berlin is the marker left of center', action: { type: 'clickAt', x: 400, y: 300, description: 'Click the Berlin marker' } },
+        { status: 'done', reason: 'Berlin picked', interpretation: 'Pick Berlin on the map', expectedOutcome: 'Berlin is picked' },
+    ],
+    verify: { success: true, message: 'The screenshot shows Berlin picked' },
+};
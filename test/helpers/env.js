@@ -0,0 +1,7 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Imported first by every test file, so suites, results and artifacts go to a throwaway directory
+// and the runner's own data directory is never touched
+process.env.QA_DATA_DIR = mkdtempSync(join(tmpdir(), 'ai-qa-test-'));
@@ -0,0 +1,302 @@
+import { EventEmitter } from 'events';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { TimeoutError } from 'puppeteer';
+
+// A stand-in for Puppeteer backed by jsdom, so whole runs can be tested without Chrome. It covers
+// the parts of the Page API the runner uses; page functions and the pages' own scripts run inside the jsdom window.
+// Selectors are CSS, "pierce/<css>" or "text/<text>". Elements are laid out with data-rect="x,y,width,height"
+// (default 0,0,100,20), which is what getBoundingClientRect, elementFromPoint and mouse clicks go by.
+
+const blankPage = '<!DOCTYPE html><html><head><title>Blank</title></head><body></body></html>';
+const defaultRect = [0, 0, 100, 20];
+
+function rectOf(element) {
+    const [x, y, width, height] = (element.getAttribute('data-rect') || defaultRect.join(',')).split(',').map(Number);
+    return { x, y, left: x, top: y, width, height, right: x + width, bottom: y + height };
+}
+
+// The document and its open shadow roots
+function rootsOf(document) {
+    const roots = [document];
+    for (let index = 0; index < roots.length; index++) {
+        roots[index].querySelectorAll('*').forEach(element => {
+            if (element.shadowRoot) roots.push(element.shadowRoot);
+        });
+    }
+    return roots;
+}
+
+function queryAll(document, selector) {
+    if (selector.startsWith('pierce/')) {
+        return rootsOf(document).flatMap(root => Array.from(root.querySelectorAll(selector.slice('pierce/'.length))));
+    }
+    if (selector.startsWith('text/')) {
+        const text = selector.slice('text/'.length);
+        // The innermost elements containing the text, like Puppeteer's text/ selector
+        return Array.from(document.body.querySelectorAll('*'))
+            .filter(element => element.textContent.includes(text) && !Array.from(element.children).some(child => child.textContent.includes(text)));
+    }
+    return Array.from(document.querySelectorAll(selector));
+}
+
+// Results cross the page boundary as JSON, like they do in Puppeteer
+const serialize = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class FakeElementHandle {
+    constructor(page, element) {
+        this.page = page;
+        this.element = element;
+    }
+
+    evaluate(fn, ...args) {
+        return this.page.run(fn, [this.element, ...args]);
+    }
+
+    async click() {
+        this.page.clicks.push({ element: this.element.tagName.toLowerCase(), id: this.element.id });
+        this.element.click();
+    }
+
+    async uploadFile(...paths) {
+        this.element.setAttribute('data-uploaded', paths.join(','));
+    }
+
+    async scrollIntoView() {}
+
+    async drop(source) {
+        this.element.append(source.element);
+    }
+
+    async contentFrame() {
+        return null;
+    }
+
+    async dispose() {}
+}
+
+class FakePage extends EventEmitter {
+    constructor(context, pages) {
+        super();
+        this.context = context;
+        this.pages = pages;
+        this.currentViewport = { width: 1280, height: 800 };
+        this.clicks = [];
+        this.keys = [];
+        this.typed = [];
+        this.load('about:blank', blankPage);
+
+        // Like Chrome's, the tree can be limited to the subtree of a `root` element handle
+        this.accessibility = {
+            snapshot: async ({ root } = {}) => ({
+                role: 'RootWebArea',
+                name: this.document.title,
+                children: Array.from((root?.element ?? this.document).querySelectorAll('h1, h2, p')).map(element => ({
+                    role: element.tagName === 'P' ? 'StaticText' : 'heading',
+                    name: element.textContent,
+                    ...(element.tagName === 'P' ? {} : { level: Number(element.tagName[1]) }),
+                })),
+            }),
+        };
+        this.mouse = {
+            click: async (x, y) => {
+                const element = this.document.elementFromPoint(x, y);
+                this.clicks.push({ x, y, element: element?.tagName.toLowerCase() ?? null, id: element?.id ?? null });
+                element?.click();
+            },
+        };
+        this.keyboard = {
+            press: async key => this.keys.push(key),
+            down: async key => this.keys.push(`down:${key}`),
+            up: async key => this.keys.push(`up:${key}`),
+        };
+    }
+
+    load(url, html) {
+        // jsdom's own complaints (e.g. about navigation it doesn't implement) would only clutter the test output
+        this.dom = new JSDOM(html, { url, runScripts: 'dangerously', pretendToBeVisual: true, virtualConsole: new VirtualConsole() });
+        const { window } = this.dom;
+        this.window = window;
+        this.document = window.document;
+        window.innerWidth = this.currentViewport.width;
+        window.innerHeight = this.currentViewport.height;
+        window.devicePixelRatio = this.currentViewport.deviceScaleFactor || 1;
+        window.Element.prototype.getBoundingClientRect = function () {
+            return rectOf(this);
+        };
+        window.performance.getEntriesByType = () => [];
+        // jsdom has no CSS namespace; ids and test ids in the test pages need no more than this
+        window.CSS = { escape: value => String(value).replace(/[^\w-]/g, character => `\\${character}`) };
+        // The last element in document order whose box holds the point, so nested elements win
+        window.document.elementFromPoint = (x, y) => Array.from(window.document.body.querySelectorAll('*')).reverse().find(element => {
+            const rect = rectOf(element);
+            return x >= rect.left && x < rect.right && y >= rect.top && y < rect.bottom;
+        }) || null;
+    }
+
+    // Call `fn` inside the window with `args`, as Puppeteer does with its serialized page functions
+    async run(fn, args) {
+        this.window.__fakeArgs = args;
+        const result = await this.window.eval(`(${fn})(...window.__fakeArgs)`);
+        return serialize(result);
+    }
+
+    evaluate(fn, ...args) {
+        return this.run(fn, args);
+    }
+
+    async evaluateOnNewDocument() {}
+
+    async createCDPSession() {
+        return { send: async () => ({}), on() {} };
+    }
+
+    async goto(url) {
+        if (!(url in this.pages)) {
+            throw new Error(`net::ERR_NAME_NOT_RESOLVED at ${url}`);
+        }
+        this.load(url, this.pages[url]);
+        this.emit('framenavigated', this);
+        return { status: () => 200 };
+    }
+
+    async goBack() {
+        return null;
+    }
+
+    async reload() {
+        return this.goto(this.url());
+    }
+
+    url() {
+        return this.dom.window.location.href;
+    }
+
+    async title() {
+        return this.document.title;
+    }
+
+    async content() {
+        return this.dom.serialize();
+    }
+
+    mainFrame() {
+        return this;
+    }
+
+    frames() {
+        return [this];
+    }
+
+    browser() {
+        return { userAgent: async () => 'FakeBrowser/1.0' };
+    }
+
+    browserContext() {
+        return this.context;
+    }
+
+    viewport() {
+        return this.currentViewport;
+    }
+
+    async setViewport(viewport) {
+        this.currentViewport = viewport;
+        this.window.innerWidth = viewport.width;
+        this.window.innerHeight = viewport.height;
+        this.window.devicePixelRatio = viewport.deviceScaleFactor || 1;
+    }
+
+    async metrics() {
+        return {};
+    }
+
+    async screenshot({ encoding } = {}) {
+        const image = Buffer.from(`screenshot of ${this.url()}`);
+        return encoding === 'base64' ? image.toString('base64') : image;
+    }
+
+    async $(selector) {
+        const [element] = queryAll(this.document, selector);
+        return element ? new FakeElementHandle(this, element) : null;
+    }
+
+    async $$(selector) {
+        return queryAll(this.document, selector).map(element => new FakeElementHandle(this, element));
+    }
+
+    // Nothing renders later in a fake page, so a missing element times out right away
+    async waitForSelector(selector) {
+        const handle = await this.$(selector);
+        if (!handle) {
+            throw new TimeoutError(`Waiting for selector \`${selector}\` failed`);
+        }
+        return handle;
+    }
+
+    async click(selector) {
+        await (await this.waitForSelector(selector)).click();
+    }
+
+    async type(selector, text) {
+        const { element } = await this.waitForSelector(selector);
+        element.value += text;
+        this.typed.push({ selector, text });
+    }
+
+    async focus(selector) {
+        (await this.waitForSelector(selector)).element.focus();
+    }
+
+    async hover(selector) {
+        await this.waitForSelector(selector);
+    }
+
+    async select(selector, value) {
+        (await this.waitForSelector(selector)).element.value = value;
+    }
+
+    async waitForNetworkIdle() {}
+
+    async bringToFront() {}
+
+    async close() {
+        this.emit('close');
+    }
+
+    async emulateTimezone() {}
+
+    async emulateMediaFeatures() {}
+
+    async emulateNetworkConditions() {}
+
+    async emulateCPUThrottling() {}
+
+    async setGeolocation() {}
+}
+
+// A browser pool handing out contexts of fake pages. `pages` maps URLs to the HTML they serve.
+// Every page opened is kept in `opened`, so tests can inspect clicks and typed text afterwards.
+export function createFakeBrowserPool(pages) {
+    const opened = [];
+    return {
+        opened,
+        async acquire() {
+            const context = new EventEmitter();
+            context.newPage = async () => {
+                const page = new FakePage(context, pages);
+                opened.push(page);
+                return page;
+            };
+            context.overridePermissions = async () => {};
+            return { context, release: async () => {} };
+        },
+    };
+}
+
+// A single fake page showing `html`, for tests of code that takes a page
+export async function openFakePage(html, url = 'https://example.test/') {
+    const { context } = await createFakeBrowserPool({ [url]: html }).acquire();
+    const page = await context.newPage();
+    await page.goto(url);
+    return page;
+}
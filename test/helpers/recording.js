@@ -0,0 +1,10 @@
+import { registerProvider, getProvider } from '../../src/providers.js';
+
+// Runs with provider "recording" get a mock provider that is kept here, so tests can check what
+// the model was asked (recording.provider.calls) after the run
+export const recording = { provider: null };
+
+registerProvider('recording', options => {
+    recording.provider = getProvider({ ...options, provider: 'mock' });
+    return recording.provider;
+});
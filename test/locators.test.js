@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { locatorOf, describeTarget } from '../src/locators.js';
+
+test('CSS and prefixed selectors keep their selector and name their strategy', () => {
+    assert.deepEqual(locatorOf({ type: 'click', target: '#buy' }), { strategy: 'css', selector: '#buy' });
+    assert.deepEqual(locatorOf({ type: 'click', target: 'pierce/button' }), { strategy: 'pierce', selector: 'pierce/button' });
+    assert.deepEqual(locatorOf({ type: 'click', target: 'text/Accept all' }), { strategy: 'text', selector: 'text/Accept all' });
+    assert.deepEqual(locatorOf({ type: 'click', target: 'aria/Sign in' }), { strategy: 'aria', selector: 'aria/Sign in' });
+    assert.deepEqual(locatorOf({ type: 'click', target: 'button::-p-text(Save)' }), { strategy: 'text', selector: 'button::-p-text(Save)' });
+});
+
+test('role targets become aria selectors', () => {
+    assert.deepEqual(locatorOf({ type: 'click', target: { role: 'button', name: 'Sign in' } }), {
+        strategy: 'role',
+        selector: 'aria/Sign in[role="button"]',
+    });
+});
+
+test('refs pierce shadow roots to their tagged element', () => {
+    assert.deepEqual(locatorOf({ type: 'fill', target: 'ref=e12' }), { strategy: 'ref', selector: 'pierce/[data-qa-ref="e12"]' });
+});
+
+test('actions without an element target have no locator', () => {
+    assert.equal(locatorOf({ type: 'navigate', target: 'https://example.test/' }), null);
+    assert.equal(locatorOf({ type: 'clickAt', x: 1, y: 2 }), null);
+    assert.equal(locatorOf({ type: 'screenshot', target: 'page' }), null);
+    assert.equal(locatorOf({ type: 'wait', value: 1000 }), null);
+});
+
+test('targets that are neither selectors nor role objects are rejected', () => {
+    assert.throws(() => locatorOf({ type: 'click', target: 42 }), /Invalid target 42/);
+    assert.throws(() => locatorOf({ type: 'click', target: ['#a'] }), /Invalid target/);
+});
+
+test('describeTarget reads role targets as role and name', () => {
+    assert.equal(describeTarget({ role: 'link', name: 'Home' }), 'link "Home"');
+    assert.equal(describeTarget('#buy'), '#buy');
+});
@@ -0,0 +1,62 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { applyMocks, validateMocks } from '../src/mocks.js';
+
+// A tab that only knows request interception; requests are sent with request(url)
+class InterceptedPage extends EventEmitter {
+    async setRequestInterception(enabled) {
+        this.intercepting = enabled;
+    }
+
+    async request(url, method = 'GET') {
+        let outcome = null;
+        this.emit('request', {
+            url: () => url,
+            method: () => method,
+            isInterceptResolutionHandled: () => false,
+            continue: async () => { outcome = 'network'; },
+            respond: async response => { outcome = response.status; },
+            abort: async code => { outcome = `aborted:${code}`; },
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        return outcome;
+    }
+}
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('mock rules answer, abort or pass requests through', async () => {
+    const page = new InterceptedPage();
+    await applyMocks(page, [
+        { url: '/api/cart', method: 'post', status: 500 },
+        { url: 'https://cdn.test/*.js', abort: true },
+    ]);
+
+    assert.equal(page.intercepting, true);
+    assert.equal(await page.request('https://shop.test/api/cart', 'POST'), 500);
+    assert.equal(await page.request('https://shop.test/api/cart'), 'network');
+    assert.equal(await page.request('https://cdn.test/app.js'), 'aborted:failed');
+    assert.match(validateMocks([{ url: '/x', abort: true, status: 200 }]), /can't both abort and respond/);
+});
+
+test('tabs watched later share the rules, their hits and their limits', async () => {
+    const first = new InterceptedPage();
+    const popup = new InterceptedPage();
+    const mocks = await applyMocks(first, [{ name: 'login', url: '/oauth/token', status: 401, times: 2 }]);
+    await mocks.watch(popup);
+
+    assert.equal(popup.intercepting, true);
+    assert.equal(await first.request('https://app.test/oauth/token'), 401);
+    assert.equal(await popup.request('https://id.test/oauth/token'), 401);
+    assert.equal(await popup.request('https://id.test/oauth/token'), 'network');
+    assert.deepEqual(mocks.summary(), [{
+        name: 'login',
+        index: 0,
+        hits: 2,
+        requests: ['GET https://app.test/oauth/token', 'GET https://id.test/oauth/token'],
+    }]);
+});
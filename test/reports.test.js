@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, renderReport, matrixEntries } from '../src/reports.js';
+
+const result = {
+    url: 'https://shop.test/',
+    instructions: 'Buy <tea> & milk',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    status: 'failed',
+    message: 'Test failed: 1 of 1 assertions failed',
+    analysis: {
+        aiInterpretation: { interpretation: 'Checkout', expectedOutcome: 'Order placed' },
+        taskExecution: {
+            findings: [
+                { action: { type: 'click', target: { role: 'button', name: 'Buy' }, description: 'Buy | now' }, status: 'success' },
+                { action: { type: 'assertText', target: '#status', value: 'Order placed' }, status: 'failed', expected: 'Order placed', actual: 'Error', error: 'assertText #status failed' },
+                { action: { type: 'handleDialog' }, status: 'skipped', reason: 'Dialogs are not tracked here' },
+            ],
+        },
+    },
+    screenshots: [],
+};
+
+const report = { title: 'QA report', entries: [{ id: 'run-1', name: 'Checkout', result }] };
+
+test('JUnit reports have a testcase per step plus the verification', async () => {
+    const xml = await renderReport(report, 'junit');
+    assert.match(xml, /<testsuites name="QA report" tests="4" failures="2" errors="0" skipped="1">/);
+    assert.match(xml, /name="1. click: Buy \| now"/);
+    assert.match(xml, /<failure message="assertText #status failed" type="failed">/);
+    assert.match(xml, /<property name="instructions" value="Buy &lt;tea&gt; &amp; milk"\/>/);
+});
+
+test('runs without an analysis are reported as errors', async () => {
+    const xml = await renderReport({ title: 'Suite', entries: [{ id: 'x', name: 'Broken', result: { status: 'error', message: 'Browser crashed' } }] }, 'junit');
+    assert.match(xml, /tests="1" failures="0" errors="1"/);
+    assert.match(xml, /<error message="Browser crashed" type="error">/);
+});
+
+test('Markdown reports escape table cells and describe role targets', async () => {
+    const markdown = await renderReport(report, 'markdown');
+    assert.match(markdown, /^# QA report/);
+    assert.match(markdown, /\| 1 \| click \| `button "Buy"` \| Buy \\\| now \| success \|/);
+    assert.match(markdown, /\| 2 \| assertText \| `#status` \| {2}\| failed \| assertText #status failed \|/);
+});
+
+test('HTML reports escape user content', async () => {
+    const html = await renderReport(report, 'html');
+    assert.match(html, /<dd>Buy &lt;tea&gt; &amp; milk<\/dd>/);
+    assert.match(html, /<code>button &quot;Buy&quot;<\/code>/);
+});
+
+test('unknown formats are rejected', async () => {
+    await assert.rejects(renderReport(report, 'pdf'), /Unknown report format "pdf"/);
+});
+
+test('matrix runs are reported per combination', () => {
+    const matrixResult = {
+        url: 'https://shop.test/',
+        matrix: [
+            { label: 'mobile', slug: 'mobile', status: 'success', result: { status: 'success' } },
+            { label: 'desktop', slug: 'desktop', status: 'skipped', message: 'Not run', result: null },
+        ],
+    };
+    const entries = matrixEntries({ id: 'run-2', name: 'Home', result: matrixResult });
+    assert.deepEqual(entries.map(entry => [entry.id, entry.name, entry.result.status]), [
+        ['run-2/mobile', 'Home [mobile]', 'success'],
+        ['run-2/desktop', 'Home [desktop]', 'skipped'],
+    ]);
+});
+
+test('suite reports load the result of each test', async () => {
+    const suiteRun = {
+        suiteId: 'suite-1',
+        suiteName: 'Smoke',
+        tests: [
+            { analysisId: 'a', name: 'Home', status: 'success', message: 'ok' },
+            { analysisId: 'gone', name: 'Cart', status: 'failed', message: 'Cart broke' },
+        ],
+    };
+    const built = await buildReport('run-3', suiteRun, async id => (id === 'a' ? result : null));
+    assert.equal(built.title, 'Suite report: Smoke');
+    assert.equal(built.entries[0].result, result);
+    assert.deepEqual(built.entries[1].result, { status: 'failed', message: 'Cart broke (result no longer stored)' });
+});
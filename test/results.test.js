@@ -0,0 +1,50 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveResult, getResult, listResults, pruneResults, isActiveResult } from '../src/results.js';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('results are stored, listed newest first and filtered', async () => {
+    await saveResult('older', { url: 'https://a.test/', status: 'success', createdAt: daysAgo(2) });
+    await saveResult('newer', { url: 'https://b.test/', status: 'failed', createdAt: daysAgo(1) });
+    await saveResult('suite-run', { suiteId: 's1', status: 'success', createdAt: daysAgo(1) });
+
+    assert.equal((await getResult('older')).url, 'https://a.test/');
+    assert.equal('meta' in await getResult('older'), false);
+    assert.equal(await getResult('missing'), null);
+    assert.deepEqual(listResults().results.map(result => result.id).slice(0, 2).sort(), ['newer', 'suite-run']);
+    assert.deepEqual(listResults({ url: 'a.test' }).results.map(result => result.id), ['older']);
+    assert.deepEqual(listResults({ status: 'failed' }).results.map(result => result.id), ['newer']);
+    assert.deepEqual(listResults({ type: 'suite' }).results.map(result => result.id), ['suite-run']);
+    assert.equal(listResults({ pageSize: 2 }).totalPages, 2);
+});
+
+test('runs in progress are served from memory and never pruned', async () => {
+    await saveResult('running', { url: 'https://c.test/', status: 'running', createdAt: daysAgo(90) });
+    assert.equal(isActiveResult('running'), true);
+    assert.equal((await getResult('running')).status, 'running');
+    assert.equal('meta' in await getResult('running'), false);
+
+    await pruneResults({ maxAgeDays: 30, maxCount: 1000 });
+    assert.notEqual(await getResult('running'), null);
+});
+
+test('pruning drops results past the age limit, then the oldest beyond the count', async () => {
+    await saveResult('expired', { url: 'https://d.test/', status: 'success', createdAt: daysAgo(40) });
+    await saveResult('kept-1', { url: 'https://d.test/', status: 'success', createdAt: daysAgo(3) });
+    await saveResult('kept-2', { url: 'https://d.test/', status: 'success', createdAt: daysAgo(0.5) });
+
+    await pruneResults({ maxAgeDays: 30, maxCount: 1000 });
+    assert.equal(await getResult('expired'), null);
+
+    const finished = listResults({ pageSize: 100 }).results.filter(result => result.status !== 'running');
+    await pruneResults({ maxAgeDays: 30, maxCount: 1 });
+    const remaining = listResults({ pageSize: 100 }).results.filter(result => result.status !== 'running');
+    assert.ok(finished.length > 1);
+    assert.deepEqual(remaining.map(result => result.id), ['kept-2']);
+});
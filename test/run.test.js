@@ -0,0 +1,222 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { runQATest } from '../src/ai.js';
+import { buildPlanFromResult } from '../src/suites.js';
+import { recording } from './helpers/recording.js';
+import { createFakeBrowserPool } from './helpers/fakeBrowser.js';
+
+const url = 'https://shop.test/';
+const pages = {
+    [url]: `<!DOCTYPE html>
+        <html><head><title>Shop</title></head>
+        <body>
+            <h1>Newsletter</h1>
+            <form id="signup" onsubmit="return false">
+                <input id="email" name="email" placeholder="Email">
+                <button id="join" type="button" onclick="document.querySelector('#status').textContent = 'Subscribed'">Join</button>
+            </form>
+            <p id="status"></p>
+        </body></html>`,
+};
+
+// Options every run here shares: fake browsers, no settle time and no screenshots on disk
+const baseOptions = { provider: 'mock', waitTime: 0.001, screenshots: false };
+
+beforeEach(t => {
+    // The runner logs every step; only failures of the tests themselves are of interest here
+    for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+});
+
+test('a planned run with the mock provider performs the plan and is decided by its assertions', async () => {
+    const browserPool = createFakeBrowserPool(pages);
+    const result = await runQATest(url, 'Subscribe to the newsletter', {
+        ...baseOptions,
+        browserPool,
+        mockResponses: {
+            plan: {
+                interpretation: 'Sign up for the newsletter',
+                actions: [
+                    { type: 'fill', target: '#email', value: 'qa@example.com', description: 'Enter the email' },
+                    { type: 'click', target: '#join', description: 'Join' },
+                    { type: 'assertText', target: '#status', value: 'Subscribed', description: 'Confirmation shown' },
+                ],
+                expectedOutcome: 'The signup is confirmed',
+            },
+        },
+    });
+
+    const [page] = browserPool.opened;
+    assert.equal(result.status, 'success', result.message);
+    assert.deepEqual(page.typed, [{ selector: '#email', text: 'qa@example.com' }]);
+    assert.equal(result.analysis.verifiedBy, 'assertions');
+});
+
+test('a step-mode run with the mock provider follows the decisions until the agent is done', async () => {
+    const browserPool = createFakeBrowserPool(pages);
+    const result = await runQATest(url, 'Subscribe to the newsletter', {
+        ...baseOptions,
+        browserPool,
+        mode: 'step',
+        mockResponses: {
+            step: [
+                { status: 'continue', reasoning: 'Join first', action: { type: 'click', target: 'text/Join', description: 'Join' } },
+                { status: 'continue', reasoning: 'Check it', action: { type: 'assertText', target: '#status', value: 'Subscribed' } },
+                { status: 'done', reason: 'Subscribed', interpretation: 'Newsletter signup', expectedOutcome: 'Subscribed' },
+            ],
+        },
+    });
+
+    assert.equal(result.status, 'success', result.message);
+    const { aiInterpretation } = result.analysis;
+    assert.equal(aiInterpretation.mode, 'step');
+    assert.equal(aiInterpretation.stepsUsed, 2);
+    assert.deepEqual(aiInterpretation.trace.map(entry => entry.decision), ['continue', 'continue', 'done']);
+    assert.equal(result.analysis.taskExecution.findings[0].locator.strategy, 'text');
+});
+
+test('a cancelled step-mode run reports the steps the agent took', async () => {
+    const controller = new AbortController();
+    const result = await runQATest(url, 'Subscribe to the newsletter', {
+        ...baseOptions,
+        browserPool: createFakeBrowserPool(pages),
+        mode: 'step',
+        signal: controller.signal,
+        // Cancelled once the first action is done, while the agent would go on
+        onProgress: event => event.type === 'action:finished' && controller.abort(),
+        mockResponses: {
+            step: { status: 'continue', reasoning: 'Join', interpretation: 'Newsletter signup', action: { type: 'click', target: '#join' } },
+        },
+    });
+
+    assert.equal(result.status, 'cancelled');
+    const { aiInterpretation } = result.analysis;
+    assert.equal(aiInterpretation.mode, 'step');
+    assert.equal(aiInterpretation.interpretation, 'Newsletter signup');
+    assert.equal(aiInterpretation.stepsUsed, 1);
+    assert.deepEqual(aiInterpretation.trace.map(entry => entry.result?.status), ['success']);
+});
+
+test('a run that exhausts its step budget fails', async () => {
+    const result = await runQATest(url, 'Click forever', {
+        ...baseOptions,
+        browserPool: createFakeBrowserPool(pages),
+        mode: 'step',
+        maxSteps: 2,
+        mockResponses: { step: { status: 'continue', action: { type: 'click', target: '#join' } } },
+    });
+
+    assert.equal(result.status, 'failed');
+    assert.match(result.message, /Step budget of 2 actions exhausted/);
+});
+
+test('a run that targets refs is locked with the stable targets they stood for', async () => {
+    const result = await runQATest(url, 'Subscribe to the newsletter', {
+        ...baseOptions,
+        browserPool: createFakeBrowserPool({ [url]: pages[url].replace('<h1>Newsletter</h1>', '<h1>Newsletter</h1><a href="/terms">Terms</a>') }),
+        mockResponses: {
+            plan: {
+                interpretation: 'Sign up',
+                actions: [
+                    { type: 'click', target: 'ref=e1', description: 'Open the terms' },
+                    { type: 'fill', target: 'ref=e2', value: 'qa@example.com' },
+                    { type: 'click', target: 'ref=e3' },
+                    { type: 'assertText', target: '#status', value: 'Subscribed' },
+                ],
+                expectedOutcome: 'Subscribed',
+            },
+        },
+    });
+
+    assert.equal(result.status, 'success', result.message);
+    const plan = buildPlanFromResult(result, 'run-1');
+    assert.deepEqual(plan.actions.map(action => action.target), [{ role: 'link', name: 'Terms' }, '#email', '#join', '#status']);
+});
+
+test('a drag is dropped on an element located like a target, and locked as its stable target', async () => {
+    const board = 'https://board.test/';
+    const browserPool = createFakeBrowserPool({
+        [board]: `<!DOCTYPE html>
+            <html><head><title>Board</title></head>
+            <body>
+                <div id="card" draggable="true">Write tests</div>
+                <div tabindex="0" data-testid="todo">To do</div>
+                <div tabindex="0" data-testid="done">Done</div>
+            </body></html>`,
+    });
+    const result = await runQATest(board, 'Move the card to Done', {
+        ...baseOptions,
+        browserPool,
+        mockResponses: {
+            plan: {
+                interpretation: 'Move the card',
+                actions: [
+                    { type: 'dragAndDrop', target: '#card', value: 'ref=e2', description: 'Drop the card on Done' },
+                    { type: 'assertVisible', target: '[data-testid="done"] #card' },
+                ],
+                expectedOutcome: 'The card is in Done',
+            },
+        },
+    });
+
+    assert.equal(result.status, 'success', result.message);
+    const [finding] = result.analysis.taskExecution.findings;
+    assert.deepEqual(finding.locator.drop, { strategy: 'ref', selector: 'pierce/[data-qa-ref="e2"]', stableTarget: '[data-testid="done"]' });
+    assert.equal(buildPlanFromResult(result, 'run-1').actions[0].value, '[data-testid="done"]');
+});
+
+test('a locked plan without assertions is judged by its steps, without asking the model', async () => {
+    const plan = { actions: [{ type: 'fill', target: '#email', value: 'qa@example.com' }, { type: 'click', target: '#join' }] };
+    const passed = await runQATest(url, 'Subscribe to the newsletter', { ...baseOptions, provider: 'recording', browserPool: createFakeBrowserPool(pages), plan });
+    assert.equal(passed.status, 'success', passed.message);
+    assert.equal(passed.analysis.verifiedBy, 'replay');
+    assert.deepEqual(recording.provider.calls, []);
+
+    const broken = { actions: [{ type: 'click', target: '#gone' }] };
+    const failed = await runQATest(url, 'Subscribe to the newsletter', { ...baseOptions, provider: 'recording', browserPool: createFakeBrowserPool(pages), plan: broken, heal: false });
+    assert.equal(failed.status, 'failed');
+    assert.match(failed.message, /1 of 1 recorded steps failed\. click: Waiting for selector `#gone` failed/);
+    assert.deepEqual(recording.provider.calls, []);
+});
+
+test('a failed step fails the run even when every assertion passes', async () => {
+    const result = await runQATest(url, 'Subscribe to the newsletter', {
+        ...baseOptions,
+        browserPool: createFakeBrowserPool(pages),
+        mockResponses: {
+            plan: {
+                actions: [
+                    { type: 'fill', target: '#phone', value: '555' },
+                    { type: 'assertText', target: 'page', value: 'Newsletter' },
+                ],
+                expectedOutcome: 'The page still shows the newsletter',
+            },
+        },
+    });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.analysis.verifiedBy, 'assertions');
+    assert.match(result.message, /^Test failed: step 1 \(fill\) failed: Waiting for selector `#phone` failed$/);
+});
+
+test('a step-mode run that recovers from failed steps is judged by its last attempts', async () => {
+    const result = await runQATest(url, 'Subscribe to the newsletter', {
+        ...baseOptions,
+        browserPool: createFakeBrowserPool(pages),
+        mode: 'step',
+        mockResponses: {
+            step: [
+                { status: 'continue', reasoning: 'Check first', action: { type: 'assertText', target: '#status', value: 'Subscribed', timeout: 100, description: 'Too early' } },
+                { status: 'continue', reasoning: 'Join', action: { type: 'click', target: '#joinx' } },
+                { status: 'continue', reasoning: 'Wrong selector, retry', action: { type: 'click', target: '#join' } },
+                { status: 'continue', reasoning: 'Check again', action: { type: 'assertText', target: '#status', value: 'Subscribed', timeout: 100, description: 'Confirmed' } },
+                { status: 'done', reason: 'Subscribed', interpretation: 'Newsletter signup', expectedOutcome: 'Subscribed' },
+            ],
+        },
+    });
+
+    assert.deepEqual(result.analysis.taskExecution.findings.map(finding => finding.status), ['failed', 'failed', 'success', 'success']);
+    assert.equal(result.status, 'success', result.message);
+    assert.equal(result.analysis.verifiedBy, 'assertions');
+    assert.equal(result.message.startsWith('Test successful: all 1 assertions passed'), true);
+});
@@ -0,0 +1,73 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSecrets, redact, redactText, listSecrets, setSecret, deleteSecret, isValidSecretName } from '../src/secrets.js';
+
+afterEach(() => {
+    for (const key of Object.keys(process.env).filter(key => key.startsWith('QA_SECRET_'))) delete process.env[key];
+});
+
+test('placeholders resolve to their values', () => {
+    process.env.QA_SECRET_PASSWORD = 'hunter22';
+    assert.equal(resolveSecrets('pw: {{secret:PASSWORD}}'), 'pw: hunter22');
+    assert.equal(resolveSecrets(null), null);
+});
+
+test('an unknown placeholder is an error rather than typed as is', () => {
+    assert.throws(() => resolveSecrets('{{secret:MISSING}}'), /Unknown secret "MISSING"/);
+});
+
+test('secret names are letters, digits and underscores', () => {
+    assert.equal(isValidSecretName('API_KEY_2'), true);
+    assert.equal(isValidSecretName('api-key'), false);
+    assert.equal(isValidSecretName(''), false);
+});
+
+test('redactText replaces values with placeholders, the longest first', () => {
+    process.env.QA_SECRET_TOKEN = 'abc123';
+    process.env.QA_SECRET_LONG_TOKEN = 'abc123xyz';
+    assert.equal(redactText('a abc123xyz b abc123'), 'a {{secret:LONG_TOKEN}} b {{secret:TOKEN}}');
+});
+
+test('values too short to redact safely are left alone', () => {
+    process.env.QA_SECRET_PIN = 'ab';
+    assert.equal(redactText('tab'), 'tab');
+});
+
+test('redact handles nested results and leaves values without secrets untouched', () => {
+    process.env.QA_SECRET_PASSWORD = 'hunter22';
+    const result = { message: 'typed hunter22', findings: [{ action: { value: 'hunter22' }, ok: true }] };
+    assert.deepEqual(redact(result), {
+        message: 'typed {{secret:PASSWORD}}',
+        findings: [{ action: { value: '{{secret:PASSWORD}}' }, ok: true }],
+    });
+    assert.equal(redact('plain'), 'plain');
+    assert.equal(redact(undefined), undefined);
+});
+
+test('redact leaves numbers, booleans and keys alone when a secret matches them', () => {
+    process.env.QA_SECRET_PIN = '1234';
+    process.env.QA_SECRET_WORD = 'status';
+    const result = { status: 'success', port: 1234, retries: [1234], ok: true, message: 'PIN 1234 has status ok' };
+    assert.deepEqual(redact(result), {
+        status: 'success',
+        port: 1234,
+        retries: [1234],
+        ok: true,
+        message: 'PIN {{secret:PIN}} has {{secret:WORD}} ok',
+    });
+    assert.equal(redact(1234), 1234);
+});
+
+test('stored secrets are listed by name and source, never by value', async () => {
+    process.env.QA_SECRET_FROM_ENV = 'env-value';
+    await setSecret('STORED', 'stored-value');
+    const listed = await listSecrets();
+    assert.deepEqual(listed.filter(secret => ['FROM_ENV', 'STORED'].includes(secret.name)), [
+        { name: 'FROM_ENV', source: 'env' },
+        { name: 'STORED', source: 'store' },
+    ]);
+    assert.equal(redactText('stored-value'), '{{secret:STORED}}');
+    assert.equal(await deleteSecret('STORED'), true);
+    assert.equal(await deleteSecret('STORED'), false);
+});
@@ -0,0 +1,44 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeSnapshot } from '../src/snapshot.js';
+import { openFakePage } from './helpers/fakeBrowser.js';
+
+const html = `<!DOCTYPE html>
+<html><head><title>Checkout</title></head>
+<body>
+    <h1>Your order</h1>
+    <section id="payment">
+        <h2>Card details</h2>
+        <input id="card" aria-label="Card number">
+    </section>
+</body></html>`;
+
+beforeEach(t => {
+    t.mock.method(console, 'error', () => {});
+});
+
+test('a page snapshot lists its elements and the outline of its content', async () => {
+    const page = await openFakePage(html, 'https://shop.test/checkout');
+    const snapshot = await takeSnapshot(page);
+
+    assert.match(snapshot.text, /Page: Checkout \(https:\/\/shop\.test\/checkout\)/);
+    assert.match(snapshot.text, /\[e1\]/);
+    assert.ok(snapshot.outline.some(line => line.includes('Your order')));
+    assert.equal(console.error.mock.callCount(), 0);
+});
+
+test('a frame snapshot outlines the part of its tab under the frame root', async () => {
+    const page = await openFakePage(html, 'https://shop.test/checkout');
+    // A frame has no accessibility tree and no mainFrame(); its root element stands in for its document
+    const frame = {
+        evaluate: (...args) => page.evaluate(...args),
+        $: () => page.$('#payment'),
+        page: () => page,
+    };
+    const snapshot = await takeSnapshot(frame);
+
+    assert.ok(snapshot.outline.some(line => line.includes('Card details')));
+    assert.ok(!snapshot.outline.some(line => line.includes('Your order')));
+    assert.equal(console.error.mock.callCount(), 0);
+});
@@ -0,0 +1,118 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateSuite, validateTest, validateOptions, validatePlan, buildPlanFromResult,
+    createSuite, addTest, acceptHealedSelectors, getTest, runSuite,
+} from '../src/suites.js';
+
+const testCase = { name: 'Home', url: 'https://shop.test/', instructions: 'Open the home page' };
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+});
+
+test('suites and test cases need their fields', () => {
+    assert.equal(validateSuite({ name: 'Smoke', tests: [testCase] }), null);
+    assert.equal(validateSuite({ tests: [] }), 'Suite "name" is required');
+    assert.equal(validateSuite({ name: 'x' }, { partial: true }), null);
+    assert.match(validateSuite({ tests: [testCase] }, { partial: true }), /Suite "tests" can't be updated here/);
+    assert.equal(validateSuite({ name: 'Smoke', tests: [{ ...testCase, url: ' ' }] }), 'Test case "url" is required');
+    assert.equal(validateTest({ instructions: 'new' }, { partial: true }), null);
+});
+
+test('run options are checked by the validator of each option', () => {
+    assert.equal(validateOptions({ vision: true, snapshot: { maxTokens: 500 } }), null);
+    assert.equal(validateOptions([]), '"options" must be an object');
+    assert.equal(validateOptions({ vision: 'yes' }), '"vision" must be true or false');
+    assert.equal(validateOptions({ snapshot: { maxTokens: 50 } }), 'Snapshot "maxTokens" must be an integer of at least 200');
+    assert.match(validateOptions({ matrix: { browser: ['firefox'] } }), /Unknown matrix dimension/);
+    assert.equal(validateTest({ ...testCase, options: { vision: 1 } }), '"vision" must be true or false');
+    assert.equal(validateOptions({ timeout: 0.5 }), null);
+    for (const timeout of ['abc', '30', -1, 0, 0.0001, Infinity, NaN]) {
+        assert.equal(validateOptions({ timeout }), '"timeout" must be a positive number of seconds');
+    }
+});
+
+test('locked plans need typed actions', () => {
+    assert.equal(validatePlan({ actions: [{ type: 'click', target: '#go' }] }), null);
+    assert.equal(validatePlan({ actions: [] }), 'Plan must contain at least one action');
+    assert.equal(validatePlan({ actions: [{ target: '#go' }] }), 'Every plan action needs a "type"');
+    assert.equal(validateTest({ ...testCase, plan: {} }), 'Plan "actions" must be an array');
+    assert.match(validatePlan({ actions: [{ type: 'click', target: '#a' }, { type: 'click', target: 'ref=e7' }] }), /Plan action 2 targets "ref=e7"/);
+    assert.match(validatePlan({ actions: [{ type: 'dragAndDrop', target: '#card', value: 'ref=e2' }] }), /Plan action 1 targets "ref=e2"/);
+    assert.equal(validatePlan({ actions: [{ type: 'fill', target: '#note', value: 'ref=e2' }] }), null);
+});
+
+test('only passing runs are locked as plans', () => {
+    const aiInterpretation = { interpretation: 'Go', actions: [{ type: 'click', target: '#go' }], expectedOutcome: 'Gone' };
+    const plan = buildPlanFromResult({ status: 'success', analysis: { aiInterpretation } }, 'run-1');
+    assert.deepEqual({ ...plan, lockedAt: undefined }, { ...aiInterpretation, lockedAt: undefined, sourceAnalysisId: 'run-1' });
+    assert.throws(() => buildPlanFromResult({ status: 'failed' }, 'run-2'), /Only passing runs/);
+});
+
+test('refs are locked as the stable target recorded for them, or not at all', () => {
+    const locked = buildPlanFromResult({
+        status: 'success',
+        analysis: {
+            aiInterpretation: { actions: [{ type: 'click', target: 'ref=e3' }, { type: 'click', target: '#b' }] },
+            taskExecution: { findings: [{ status: 'success', locator: { strategy: 'ref', stableTarget: { role: 'button', name: 'Buy' } } }, { status: 'success', locator: { strategy: 'css' } }] },
+        },
+    }, 'run-3');
+    assert.deepEqual(locked.actions, [{ type: 'click', target: { role: 'button', name: 'Buy' } }, { type: 'click', target: '#b' }]);
+
+    const unlabeled = {
+        status: 'success',
+        analysis: {
+            aiInterpretation: { actions: [{ type: 'click', target: 'ref=e4' }] },
+            taskExecution: { findings: [{ status: 'success', locator: { strategy: 'ref', stableTarget: null } }] },
+        },
+    };
+    assert.throws(() => buildPlanFromResult(unlabeled, 'run-4'), /Step 1 targets ref=e4/);
+});
+
+test('steps that failed or were skipped are left out of a locked plan', () => {
+    const run = (statuses, actions) => ({
+        status: 'success',
+        analysis: {
+            aiInterpretation: { actions },
+            taskExecution: { findings: statuses.map(status => ({ status, locator: { strategy: 'css' } })) },
+        },
+    });
+    const actions = [{ type: 'click', target: '#joinx' }, { type: 'click', target: '#join' }, { type: 'handleDialog', value: 'accept' }];
+    const plan = buildPlanFromResult(run(['failed', 'success', 'skipped'], actions), 'run-5');
+    assert.deepEqual(plan.actions, [{ type: 'click', target: '#join' }]);
+    assert.throws(() => buildPlanFromResult(run(['failed'], actions.slice(0, 1)), 'run-6'), /no successful steps/);
+});
+
+test('healed selectors are applied to the plan unless it changed since', async () => {
+    const suite = await createSuite({ name: 'Healing' });
+    const stored = await addTest(suite.id, { ...testCase, plan: { actions: [{ type: 'click', target: '#old' }, { type: 'click', target: '#edited' }] } });
+    const { applied, skipped } = await acceptHealedSelectors(suite.id, stored.id, [
+        { index: 0, originalTarget: '#old', healedTarget: '#new' },
+        { index: 1, originalTarget: '#before-edit', healedTarget: '#other' },
+    ]);
+    assert.equal(applied.length, 1);
+    assert.equal(skipped.length, 1);
+    assert.deepEqual((await getTest(suite.id, stored.id)).plan.actions.map(action => action.target), ['#new', '#edited']);
+});
+
+test('suite runs count their outcomes and stop when cancelled', async () => {
+    const suite = { id: 's', name: 'Smoke', tests: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }] };
+    const statuses = { a: 'success', b: 'failed', c: 'error' };
+    const run = await runSuite(suite, { runTest: async test => ({ analysisId: `run-${test.id}`, result: { status: statuses[test.id], message: '' } }) });
+    assert.deepEqual(run.summary, { total: 3, passed: 1, failed: 1, errors: 1 });
+    assert.equal(run.status, 'failed');
+    assert.equal(run.message, '1/3 tests passed');
+
+    const controller = new AbortController();
+    const cancelled = await runSuite(suite, {
+        runTest: async test => {
+            controller.abort();
+            return { analysisId: test.id, result: { status: 'success', message: '' } };
+        },
+        signal: controller.signal,
+    });
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.tests.length, 1);
+});
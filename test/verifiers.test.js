@@ -0,0 +1,49 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findVerifier, listVerifiers, registerVerifier } from '../src/verifiers.js';
+
+const contextOf = overrides => ({
+    instructions: 'Open the page',
+    expectedOutcome: 'The page is open',
+    actionResults: [],
+    extractResults: [],
+    pageContent: '',
+    pageTitle: 'Page',
+    ...overrides,
+});
+
+const extraction = (target, data) => ({ action: { type: 'extract', target }, status: 'success', data });
+
+test('page wording alone never decides a run', async () => {
+    const context = contextOf({ pageContent: 'welcome! success. thank you for signing up' });
+    assert.equal(await findVerifier(context), null);
+    assert.ok(!listVerifiers().some(verifier => verifier.name === 'pageIndicators'));
+});
+
+test('the ipAddress verifier checks the extracted address', async () => {
+    const instructions = 'Find my IP address';
+    const valid = contextOf({ instructions, extractResults: [extraction('#ipv4', 'My Public IPv4: 203.0.113.7')] });
+    const verifier = await findVerifier(valid);
+    assert.equal(verifier.name, 'ipAddress');
+    assert.deepEqual(verifier.verify(valid), { success: true, message: 'Test successful: IP address 203.0.113.7 extracted' });
+
+    const invalid = contextOf({ instructions, extractResults: [extraction('#ip', 'unknown')] });
+    assert.equal(verifier.verify(invalid).success, false);
+});
+
+test('the ipAddress verifier skips role targets and list extractions instead of throwing', async () => {
+    const context = contextOf({
+        instructions: 'Find my IP address',
+        extractResults: [extraction({ role: 'status', name: 'IP' }, '203.0.113.7'), extraction('#ip-list', ['203.0.113.7'])],
+    });
+    const verifier = await findVerifier(context);
+    assert.deepEqual(verifier.verify(context), { success: false, message: 'Test failed: No valid IP address extracted' });
+});
+
+test('registered verifiers are tried before the built-in ones', async () => {
+    registerVerifier({ name: 'always', appliesTo: () => true, verify: () => ({ success: true, message: 'ok' }) });
+    assert.equal(listVerifiers()[0].name, 'always');
+    assert.equal((await findVerifier(contextOf({ instructions: 'Find my IP address' }))).name, 'always');
+    assert.throws(() => registerVerifier({ name: 'broken', appliesTo: () => true }), /needs a verify\(context\) function/);
+});
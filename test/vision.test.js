@@ -0,0 +1,86 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { runQATest } from '../src/ai.js';
+import { registerProvider, getProvider } from '../src/providers.js';
+import { validateVision, clickAt } from '../src/vision.js';
+import { createFakeBrowserPool, openFakePage } from './helpers/fakeBrowser.js';
+import { recording } from './helpers/recording.js';
+import { visionUrl, visionPage, visionDevice, visionResponses } from './fixtures/vision.js';
+
+const options = {
+    provider: 'recording',
+    device: visionDevice,
+    waitTime: 0.001,
+    screenshots: false,
+    mockResponses: visionResponses,
+};
+
+registerProvider('blind', () => ({ ...getProvider({ provider: 'mock' }), vision: false, label: 'Blind provider' }));
+
+beforeEach(t => {
+    for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+});
+
+test('vision runs send screenshots to plan and verify, and click at screenshot coordinates', async () => {
+    const browserPool = createFakeBrowserPool({ [visionUrl]: visionPage });
+    const result = await runQATest(visionUrl, 'Pick Berlin on the map', { ...options, browserPool, vision: true });
+
+    assert.equal(result.status, 'success', result.message);
+    assert.equal(result.analysis.verifiedBy, 'llm');
+    const [plan, verify] = recording.provider.calls;
+    assert.deepEqual(recording.provider.calls.map(call => call.task), ['plan', 'verify']);
+
+    const [image] = plan.images;
+    assert.deepEqual({ ...image, data: undefined }, { mimeType: 'image/jpeg', data: undefined, width: 1600, height: 1200, scale: 2 });
+    assert.equal(Buffer.from(image.data, 'base64').toString(), `screenshot of ${visionUrl}`);
+    assert.match(plan.prompt, /A screenshot of the current viewport is attached \(1600x1200 pixels\)/);
+    assert.match(plan.prompt, /clickAt: "x" and "y" are pixel coordinates in the screenshot/);
+    assert.equal(verify.images.length, 1);
+    assert.match(verify.prompt, /A screenshot of the page as it looks now is attached/);
+
+    const [finding] = result.analysis.taskExecution.findings;
+    assert.equal(finding.status, 'success');
+    assert.deepEqual(finding.data, { x: 200, y: 150, element: { tag: 'canvas', id: 'map', text: '' } });
+    assert.equal(browserPool.opened[0].document.querySelector('#picked').textContent, 'Berlin picked');
+});
+
+test('step-mode vision runs send a screenshot with every decision', async () => {
+    const result = await runQATest(visionUrl, 'Pick Berlin on the map', {
+        ...options,
+        browserPool: createFakeBrowserPool({ [visionUrl]: visionPage }),
+        vision: true,
+        mode: 'step',
+    });
+
+    assert.equal(result.status, 'success', result.message);
+    const steps = recording.provider.calls.filter(call => call.task === 'step');
+    assert.equal(steps.length, 2);
+    assert.ok(steps.every(call => call.images.length === 1));
+});
+
+test('runs without vision send no images and offer no clickAt', async () => {
+    await runQATest(visionUrl, 'Pick Berlin on the map', { ...options, browserPool: createFakeBrowserPool({ [visionUrl]: visionPage }) });
+
+    const [plan, verify] = recording.provider.calls;
+    assert.deepEqual(plan.images, []);
+    assert.deepEqual(verify.images, []);
+    assert.doesNotMatch(plan.prompt, /clickAt/);
+});
+
+test('vision with a provider that cannot read images fails before a browser is taken', async () => {
+    const browserPool = createFakeBrowserPool({ [visionUrl]: visionPage });
+    await assert.rejects(
+        runQATest(visionUrl, 'Pick Berlin on the map', { ...options, provider: 'blind', browserPool, vision: true }),
+        /Blind provider can't read screenshots/,
+    );
+    assert.equal(browserPool.opened.length, 0);
+});
+
+test('clickAt needs coordinates on an element', async () => {
+    const page = await openFakePage(visionPage, visionUrl);
+    await assert.rejects(clickAt(page, { type: 'clickAt', x: '10' }), /numeric "x" and "y"/);
+    await assert.rejects(clickAt(page, { type: 'clickAt', x: 5000, y: 5000 }), /Nothing to click at 5000,5000/);
+    assert.equal(validateVision(true), null);
+    assert.equal(validateVision('on'), '"vision" must be true or false');
+});